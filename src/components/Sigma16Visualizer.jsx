@@ -7,11 +7,69 @@ import {
   getDeltaSummary,
   getExecutionStats,
   decodeInstruction,
-  describeInstruction
+  describeInstruction,
+  describeFault,
+  executedInstruction
 } from '../utils/formatters'
+import { breakpointAddresses } from '../utils/timelineSearch'
+import { pagedWord } from '../utils/checkpoints'
+import { compileCondition } from '../utils/breakpointConditions'
+import { lastWatchWrite, parseWatchTarget, writesWatch } from '../utils/watchpoints'
+import { lastWriteAtOrBefore, provenanceEntries, writeSteps } from '../utils/provenance'
+import { describeEdits, parseEditTarget, parseEditValue } from '../utils/branching'
+import { addScenario, parseChunkLines, parseScenarios, removeScenario } from '../utils/inputScenarios'
+import { createSchedule, describeSchedule, interruptName } from '../utils/interruptSchedule'
+import { ticksUntilTimerFires } from '../utils/timerEvents'
+import { describeWarning, warningsUpTo } from '../utils/anomalies'
+import { lineHeat, profileAt, sortedProfileLines } from '../utils/profiler'
+import {
+  COST_CLASSES,
+  COST_PRESETS,
+  DEFAULT_COST_PRESET,
+  createCosts,
+  cycleStats,
+  formatDuration
+} from '../utils/costModel'
+import { callDepthAt, callStackAt } from '../utils/callStack'
+import { activationRecords, describeStackWord } from '../utils/stackFrames'
+import {
+  CONTROL_REGISTERS,
+  changedControlRegisters,
+  decodeInterruptBits,
+  decodeStatus
+} from '../utils/controlRegisters'
 import * as arch from '@logic/architecture.mjs'
 import './Sigma16Visualizer.css'
 
+function describeScenarioResult(result) {
+  const steps = `${result.steps} steps`
+  if (result.halted) return `Halted after ${steps}`
+  if (result.waitingForInput) return `Waiting for input after ${steps}`
+  if (result.loop) return `Stuck in a loop after ${steps}`
+  return `Step budget used up (${steps})`
+}
+
+// Writes listed in the provenance panel up to and after the current step
+const PROVENANCE_EARLIER = 40
+const PROVENANCE_LATER = 10
+
+const PROFILE_COLUMNS = [
+  { key: 'line', label: 'Line' },
+  { key: 'count', label: 'Runs' },
+  { key: 'loads', label: 'Loads' },
+  { key: 'stores', label: 'Stores' },
+  { key: 'taken', label: 'Jumped' },
+  { key: 'notTaken', label: 'Fell through' }
+]
+
+// Data-flow lines read memory when they start from it, and write it
+// when they end in it
+function flowKind(line) {
+  if (/-> (mem\[|stack)/.test(line)) return 'write'
+  if (/^(mem\[|stack ->)/.test(line)) return 'read'
+  return ''
+}
+
 function formatValue(value, format) {
   if (format === 'decimal') return wordToDecimal(value).toString()
   if (format === 'binary') return wordToBinary(value)
@@ -29,8 +87,37 @@ export function Sigma16Visualizer() {
   const [lastInputSnapshot, setLastInputSnapshot] = useState('')
   const [runId, setRunId] = useState(0)
   const [showHelp, setShowHelp] = useState(false)
+  const [continueSteps, setContinueSteps] = useState(10000)
+  // Source line index -> condition text ('' for an unconditional breakpoint)
+  const [breakpoints, setBreakpoints] = useState(() => new Map())
+  const [cursorLine, setCursorLine] = useState(null)
+  const [watches, setWatches] = useState([])
+  const [watchInput, setWatchInput] = useState('')
+  const [watchError, setWatchError] = useState(null)
+  // Register or memory word whose write history is shown: {kind, location}
+  const [provenanceTarget, setProvenanceTarget] = useState(null)
+  const [editTarget, setEditTarget] = useState('')
+  const [editValue, setEditValue] = useState('')
+  const [pendingEdits, setPendingEdits] = useState([])
+  const [editError, setEditError] = useState(null)
+  const [promptInput, setPromptInput] = useState('')
+  const [scenarioName, setScenarioName] = useState('')
+  const [scenarioChunks, setScenarioChunks] = useState('')
+  const [scenarioError, setScenarioError] = useState(null)
+  const [interruptSchedules, setInterruptSchedules] = useState([])
+  const [randomizeUninitialized, setRandomizeUninitialized] = useState(false)
+  const [showProfile, setShowProfile] = useState(false)
+  const [profileSort, setProfileSort] = useState({ key: 'count', descending: true })
+  const [costPreset, setCostPreset] = useState(DEFAULT_COST_PRESET)
+  const [costValues, setCostValues] = useState(() => ({ ...COST_PRESETS[DEFAULT_COST_PRESET].costs }))
+  const [clockMHz, setClockMHz] = useState('100')
+  const [scheduleBit, setScheduleBit] = useState('0')
+  const [scheduleStep, setScheduleStep] = useState('')
+  const [schedulePeriod, setSchedulePeriod] = useState('')
+  const [scheduleError, setScheduleError] = useState(null)
   const listingRef = useRef(null)
   const activeLineRef = useRef(null)
+  const nextWatchIdRef = useRef(1)
   const ioLogRef = useRef(null)
 
   const {
@@ -40,31 +127,88 @@ export function Sigma16Visualizer() {
     currentStep,
     totalSteps,
     currentLineIndex,
+    ioEvents,
     runtimeRegisterUsage,
     isExecuting,
     error,
     executeProgram,
+    stopExecution,
+    continueExecution,
+    provideInput,
+    runScenarios,
+    scenarioResults,
+    goToStep,
     nextStep,
     prevStep,
     reset,
     goToEnd,
+    seekForward,
+    seekBackward,
     clearTimeline,
+    branches,
+    activeRunId,
+    createBranch,
+    switchBranch,
+    parentComparison,
     canStepForward,
     canStepBackward,
     hasTimeline,
+    isAtEnd,
     timeline
   } = useSigma16Timeline()
 
   const handleRun = () => {
     const inputEl = document.getElementById('IOinputBuffer')
-    setLastInputSnapshot(inputEl?.value ?? '')
+    const input = inputEl?.value ?? ''
+    setLastInputSnapshot(input)
     setRunId((prev) => prev + 1)
-    executeProgram(sourceCode, { maxSteps: 50000 })
+    executeProgram(sourceCode, {
+      maxSteps: 50000,
+      input,
+      interrupts: interruptSchedules,
+      randomize: randomizeUninitialized
+    })
     if (inputEl) {
       inputEl.value = ''
     }
   }
 
+  const handleRunScenario = (scenario) => {
+    setLastInputSnapshot(scenario.chunks.join(''))
+    setRunId((prev) => prev + 1)
+    executeProgram(sourceCode, {
+      maxSteps: 50000,
+      input: scenario.chunks,
+      interrupts: interruptSchedules,
+      randomize: randomizeUninitialized
+    })
+  }
+
+  const handleAddScenario = (event) => {
+    event.preventDefault()
+    try {
+      setSourceCode(addScenario(sourceCode, { name: scenarioName, chunks: parseChunkLines(scenarioChunks) }))
+      setScenarioName('')
+      setScenarioChunks('')
+      setScenarioError(null)
+    } catch (err) {
+      setScenarioError(err.message)
+    }
+  }
+
+  const handleAddSchedule = (event) => {
+    event.preventDefault()
+    try {
+      const schedule = createSchedule(scheduleBit, scheduleStep, schedulePeriod)
+      setInterruptSchedules((prev) => [...prev, schedule])
+      setScheduleStep('')
+      setSchedulePeriod('')
+      setScheduleError(null)
+    } catch (err) {
+      setScheduleError(err.message)
+    }
+  }
+
   const handleExampleLoad = () => {
     const example = EXAMPLES.find((item) => item.id === selectedExample)
     if (example) {
@@ -72,6 +216,70 @@ export function Sigma16Visualizer() {
     }
   }
 
+  const toggleBreakpoint = (lineIndex) => {
+    setBreakpoints((prev) => {
+      const next = new Map(prev)
+      if (next.has(lineIndex)) {
+        next.delete(lineIndex)
+      } else {
+        next.set(lineIndex, '')
+      }
+      return next
+    })
+  }
+
+  const setBreakpointCondition = (lineIndex, condition) => {
+    setBreakpoints((prev) => new Map(prev).set(lineIndex, condition))
+  }
+
+  const handleAddWatch = (event) => {
+    event.preventDefault()
+    const text = watchInput.trim()
+    if (!text) return
+    try {
+      parseWatchTarget(text, timeline?.assembly?.symbolTable)
+    } catch (err) {
+      setWatchError(err.message)
+      return
+    }
+    setWatches((prev) => [...prev, { id: nextWatchIdRef.current++, text }])
+    setWatchInput('')
+    setWatchError(null)
+  }
+
+  const removeWatch = (id) => {
+    setWatches((prev) => prev.filter((watch) => watch.id !== id))
+  }
+
+  const handleAddEdit = (event) => {
+    event.preventDefault()
+    try {
+      const target = parseEditTarget(editTarget, timeline?.assembly?.symbolTable)
+      const value = parseEditValue(editValue, target)
+      setPendingEdits((prev) => [
+        ...prev.filter((edit) => edit.target.kind !== target.kind || edit.target.location !== target.location),
+        { target, value }
+      ])
+      setEditTarget('')
+      setEditValue('')
+      setEditError(null)
+    } catch (err) {
+      setEditError(err.message)
+    }
+  }
+
+  // The prompt takes a line, so Send ends it with a newline
+  const handleProvideInput = (event) => {
+    event.preventDefault()
+    provideInput(`${promptInput}\n`)
+    setPromptInput('')
+  }
+
+  const handleCreateBranch = () => {
+    createBranch(pendingEdits)
+    setPendingEdits([])
+  }
+
   const toggleHelp = (key) => {
     setOpenHelp((prev) => ({ ...prev, [key]: !prev[key] }))
   }
@@ -86,7 +294,83 @@ export function Sigma16Visualizer() {
     reader.readAsText(file)
   }
 
+  const inputScenarios = useMemo(() => parseScenarios(sourceCode), [sourceCode])
+
   const stats = getExecutionStats(timeline, currentStep)
+  const profile = useMemo(
+    () => (showProfile && timeline?.profileLog ? profileAt(timeline.profileLog, currentStep) : null),
+    [showProfile, timeline, currentStep]
+  )
+  const profileLines = useMemo(
+    () => (profile ? sortedProfileLines(profile, profileSort.key, profileSort.descending) : []),
+    [profile, profileSort]
+  )
+  const costModel = useMemo(() => {
+    try {
+      return { costs: createCosts(costValues), error: null }
+    } catch (err) {
+      return { costs: null, error: err.message }
+    }
+  }, [costValues])
+  const cycles = timeline?.cycleLog && costModel.costs
+    ? cycleStats(timeline.cycleLog, currentStep, costModel.costs, Number(clockMHz))
+    : null
+  const runStatus = isExecuting
+    ? 'Running'
+    : (stats?.completed
+        ? 'Halted'
+        : (timeline?.waitingForInput
+            ? 'Waiting for input'
+            : (timeline?.loop ? 'Stuck in a loop' : (timeline?.budgetExhausted ? 'Step budget used up' : 'Paused'))))
+  const loopLines = timeline?.loop?.lines.map((line) => line + 1) || []
+  const scrubberMax = timeline
+    ? (timeline.completed ? totalSteps : Math.max(totalSteps, timeline.stepLimit))
+    : 0
+  const breakableLines = useMemo(() => new Set(timeline?.lineMap || []), [timeline])
+  const activeBreakpointAddresses = useMemo(
+    () => breakpointAddresses(breakpoints.keys(), timeline?.lineMap),
+    [breakpoints, timeline]
+  )
+  const breakpointConditions = useMemo(() => {
+    const compiled = new Map()
+    for (const [lineIndex, condition] of breakpoints) {
+      if (!condition.trim()) continue
+      try {
+        compiled.set(lineIndex, { evaluate: compileCondition(condition, timeline?.assembly?.symbolTable) })
+      } catch (err) {
+        compiled.set(lineIndex, { error: err.message })
+      }
+    }
+    return compiled
+  }, [breakpoints, timeline])
+  const hitsBreakpoint = (delta, step, state) => {
+    if (!activeBreakpointAddresses.has(delta.curInstrAddr)) return false
+    const condition = breakpointConditions.get(timeline.lineMap[delta.curInstrAddr])
+    if (!condition) return true
+    return condition.evaluate ? condition.evaluate(state, step) : false
+  }
+  const cursorAddresses = useMemo(
+    () => breakpointAddresses(cursorLine === null ? [] : [cursorLine], timeline?.lineMap),
+    [cursorLine, timeline]
+  )
+  const hitsCursor = (delta) => cursorAddresses.has(delta.curInstrAddr)
+
+  // Step over and out by the number of open calls: stepping over a jal
+  // stops once the call depth is back to where it was, stepping out once
+  // it is below that
+  const callDepth = timeline?.callLog ? callDepthAt(timeline.callLog, currentStep) : 0
+  const seekCallDepth = (forward, outOfCall) => {
+    const depth = callDepth
+    const test = (delta, step) => {
+      const stepDepth = callDepthAt(timeline.callLog, step)
+      return outOfCall ? stepDepth < depth : stepDepth <= depth
+    }
+    if (forward) {
+      seekForward(test)
+    } else {
+      seekBackward(test)
+    }
+  }
   const listingLines = useMemo(() => {
     return timeline?.assembly?.asmSrcLines || sourceCode.split('\n')
   }, [timeline, sourceCode])
@@ -126,11 +410,23 @@ export function Sigma16Visualizer() {
       Object.keys(currentDelta.changedMemory).forEach((addr) => {
         locations.add(Number(addr))
       })
+      for (const { address } of currentDelta.dataReads || []) {
+        locations.add(address)
+      }
     }
 
     return Array.from(locations).sort((a, b) => a - b).slice(0, 256)
   }, [currentState, currentDelta, timeline])
 
+  const memoryReads = useMemo(
+    () => new Set((currentDelta?.dataReads || []).map(({ address }) => address)),
+    [currentDelta]
+  )
+  const memoryFetches = useMemo(
+    () => new Set((currentDelta?.instrFetches || []).map(({ address }) => address)),
+    [currentDelta]
+  )
+
   const currentInstrAddress = currentDelta
     ? currentDelta.curInstrAddr
     : timeline?.programInfo?.startAddress ?? null
@@ -153,6 +449,19 @@ export function Sigma16Visualizer() {
     return diff - 0x8000
   }, [currentState, previousState, stackPointer])
 
+  // Warnings so far, counted up to the current step, then the later ones
+  const warnings = useMemo(() => {
+    const log = timeline?.anomalies
+    if (!log) return []
+    return [...warningsUpTo(log, currentStep), ...log.warnings.filter((warning) => warning.step > currentStep)]
+  }, [timeline, currentStep])
+  const stepWarnings = warnings.filter((warning) => warning.step === currentStep)
+
+  const changedControls = useMemo(() => {
+    if (!currentState) return new Set()
+    return changedControlRegisters(currentState, previousState)
+  }, [currentState, previousState])
+
   const labelContext = useMemo(() => {
     const symbolTable = timeline?.assembly?.symbolTable
     if (!symbolTable) return null
@@ -202,6 +511,41 @@ export function Sigma16Visualizer() {
     return { lookupAddress, labelMeta }
   }, [timeline, sourceCode])
 
+  // Open subroutine calls, innermost first
+  const callFrames = useMemo(() => {
+    if (!timeline?.callLog) return []
+    return callStackAt(timeline.callLog, currentStep).reverse().map((frame) => {
+      const line = timeline.lineMap?.[frame.callAddr] ?? null
+      return {
+        ...frame,
+        name: labelContext?.lookupAddress?.(frame.target)?.name ?? wordToHex(frame.target),
+        line
+      }
+    })
+  }, [timeline, currentStep, labelContext])
+
+  // Stack words grouped by the call they belong to, innermost first
+  const stackRecords = useMemo(() => {
+    if (!timeline?.stackLog || !timeline?.callLog) return []
+    const frames = callStackAt(timeline.callLog, currentStep)
+    return activationRecords(timeline.stackLog, frames, currentStep).map((record) => ({
+      ...record,
+      name: record.frame
+        ? labelContext?.lookupAddress?.(record.frame.target)?.name ?? wordToHex(record.frame.target)
+        : 'main program'
+    }))
+  }, [timeline, currentStep, labelContext])
+
+  const stackWordsByAddress = useMemo(() => {
+    const words = new Map()
+    for (const record of stackRecords) {
+      for (const word of record.words) {
+        words.set(word.address, { word, depth: record.depth })
+      }
+    }
+    return words
+  }, [stackRecords])
+
   const stackEntries = useMemo(() => {
     if (!currentState || stackPointer === null) return []
     const entries = []
@@ -210,16 +554,19 @@ export function Sigma16Visualizer() {
       const address = (stackPointer - i) & 0xffff
       const label = labelContext?.lookupAddress?.(address)
       const valueLabel = labelContext?.lookupAddress?.(currentState.mem[address])
+      const frameWord = stackWordsByAddress.get(address)
       entries.push({
         address,
         value: currentState.mem[address],
         isTop: i === 0,
         label: label?.name || null,
-        valueLabel: valueLabel?.kind === 'code' ? valueLabel.name : null
+        valueLabel: valueLabel?.kind === 'code' ? valueLabel.name : null,
+        frameDepth: frameWord ? frameWord.depth : null,
+        role: frameWord ? describeStackWord(frameWord.word) : null
       })
     }
     return entries
-  }, [currentState, stackPointer, labelContext])
+  }, [currentState, stackPointer, labelContext, stackWordsByAddress])
 
   const labelRows = useMemo(() => {
     const symbolTable = timeline?.assembly?.symbolTable
@@ -259,6 +606,121 @@ export function Sigma16Visualizer() {
     return rows
   }, [timeline, labelContext, currentState])
 
+  const watchRows = useMemo(() => {
+    return watches.map((watch) => {
+      let target = null
+      try {
+        target = parseWatchTarget(watch.text, timeline?.assembly?.symbolTable)
+      } catch (err) {
+        return { ...watch, target: null, error: err.message, lastWrite: null }
+      }
+      const lastWrite = timeline?.initialState
+        ? lastWatchWrite(target, timeline.provenance, timeline.deltas, timeline.initialState, currentStep)
+        : null
+      return { ...watch, target, error: null, lastWrite }
+    })
+  }, [watches, timeline, currentStep])
+
+  const provenanceSteps = useMemo(
+    () => (provenanceTarget && timeline?.provenance ? writeSteps(timeline.provenance, provenanceTarget) : null),
+    [provenanceTarget, timeline]
+  )
+
+  // Only the writes around the one behind the current value are described
+  const provenance = useMemo(() => {
+    if (!provenanceSteps || !timeline.initialState) return null
+    const current = lastWriteAtOrBefore(provenanceSteps, currentStep)
+    const first = Math.max(0, current + 1 - PROVENANCE_EARLIER)
+    const end = Math.min(provenanceSteps.length, current + 1 + PROVENANCE_LATER)
+    const entries = provenanceEntries(timeline.provenance, timeline.deltas, provenanceTarget, timeline.lineMap, first, end)
+      .map((entry) => {
+        const sourceLine = entry.line !== null ? listingLines[entry.line] : null
+        const decoded = decodeInstruction(entry.ir, { sourceLine })
+        return { ...entry, instruction: `${decoded.mnemonic} ${decoded.operands}` }
+      })
+    const initialValue = provenanceTarget.kind === 'register'
+      ? timeline.initialState.reg[provenanceTarget.location]
+      : timeline.initialState.mem[provenanceTarget.location]
+    return {
+      entries,
+      initialValue,
+      sourceIndex: current - first,
+      earlier: first,
+      later: provenanceSteps.length - end
+    }
+  }, [provenanceSteps, provenanceTarget, timeline, listingLines, currentStep])
+
+  const branchTree = useMemo(() => {
+    const children = new Map()
+    for (const branch of branches) {
+      const key = branch.parentRunId ?? 'root'
+      if (!children.has(key)) {
+        children.set(key, [])
+      }
+      children.get(key).push(branch)
+    }
+    return children
+  }, [branches])
+
+  const branchDifferences = useMemo(() => {
+    const parentState = parentComparison?.state
+    if (!parentState || !currentState) return null
+    const differences = []
+    for (let i = 1; i < 16; i += 1) {
+      if (currentState.reg[i] !== parentState.reg[i]) {
+        differences.push({ name: `R${i}`, branch: currentState.reg[i], parent: parentState.reg[i] })
+      }
+    }
+    if (currentState.pc !== parentState.pc) {
+      differences.push({ name: 'pc', branch: currentState.pc, parent: parentState.pc })
+    }
+    const { memoryDifferences } = parentComparison
+    for (const address of memoryDifferences.slice(0, 12)) {
+      const label = labelContext?.lookupAddress?.(address)
+      differences.push({
+        name: label ? `${wordToHex(address)} (${label.name})` : wordToHex(address),
+        branch: currentState.mem[address],
+        parent: pagedWord(parentState.pages, address)
+      })
+    }
+    return { differences, hiddenMemory: Math.max(memoryDifferences.length - 12, 0) }
+  }, [parentComparison, currentState, labelContext])
+
+  const describeBranch = (branch) => {
+    if (branch.parentRunId === null) return 'Original run'
+    return `Step ${branch.forkStep}: ${describeEdits(branch.edits, wordToHex)}`
+  }
+
+  const renderBranchNodes = (parentKey) => {
+    const nodes = branchTree.get(parentKey)
+    if (!nodes) return null
+    return (
+      <ul>
+        {nodes.map((branch) => (
+          <li key={branch.runId}>
+            <button
+              type="button"
+              className={`branch-node ${branch.runId === activeRunId ? 'active' : ''}`}
+              onClick={() => switchBranch(branch.runId)}
+            >
+              {describeBranch(branch)}
+            </button>
+            {renderBranchNodes(branch.runId)}
+          </li>
+        ))}
+      </ul>
+    )
+  }
+
+  const isProvenanceTarget = (kind, location) =>
+    provenanceTarget?.kind === kind && provenanceTarget.location === location
+
+  const formatWatchLocation = (target, location) => {
+    if (target.kind === 'register') return `R${location}`
+    const label = labelContext?.lookupAddress?.(location)
+    return label ? `${wordToHex(location)} (${label.name})` : wordToHex(location)
+  }
+
   const explanation = useMemo(() => {
     return describeInstruction(currentDelta, currentState, previousState, labelContext || {})
   }, [currentDelta, currentState, previousState, labelContext])
@@ -305,18 +767,15 @@ export function Sigma16Visualizer() {
   }, [timeline, currentSourceLine])
 
   const currentInstruction = useMemo(() => {
-    if (!currentDelta || !currentState) return null
-    return decodeInstruction(currentDelta.ir, {
+    if (!currentDelta || !currentState || currentDelta.interrupt) return null
+    if (currentDelta.fault?.kind === 'fetch') return null
+    return decodeInstruction(executedInstruction(currentDelta), {
       memory: previousState?.mem || currentState.mem,
       address: currentInstrAddress,
       sourceLine: currentSourceLine
     })
   }, [currentDelta, currentState, previousState, currentInstrAddress, currentSourceLine])
 
-  const ioLogHtml = currentState?.ioLogBuffer
-    ? `<pre>${currentState.ioLogBuffer}</pre>`
-    : ''
-
   useEffect(() => {
     if (mode !== 'beginner') return
     const hasR15 = Boolean(timeline?.programRegisters?.has?.(15))
@@ -325,11 +784,19 @@ export function Sigma16Visualizer() {
 
   useEffect(() => {
     if (!ioLogRef.current) return
-    ioLogRef.current.innerHTML = ioLogHtml
-  }, [ioLogHtml, runId])
+    ioLogRef.current.scrollTop = ioLogRef.current.scrollHeight
+  }, [ioEvents.length, runId])
 
   const cycleSteps = useMemo(() => {
     if (!currentState) return []
+    if (currentDelta?.interrupt) {
+      const { index, savedPc, handler } = currentDelta.interrupt
+      return [
+        { key: 'check', title: 'Check', detail: `Interrupts are enabled and mask & req has bit ${index} set, so no instruction is fetched.` },
+        { key: 'save', title: 'Save', detail: `rpc := PC (${wordToHex(savedPc)}), rstat := status; clear req bit ${index}.` },
+        { key: 'enter', title: 'Enter', detail: `System state, interrupts disabled, PC := vect + 2*${index} = ${wordToHex(handler)}.` }
+      ]
+    }
     const fetchAddr = currentInstrAddress !== null ? wordToHex(currentInstrAddress) : 'PC'
     const fetchDetail = `Read memory at ${fetchAddr} into IR.`
     const decodeDetail = currentInstruction
@@ -338,15 +805,43 @@ export function Sigma16Visualizer() {
     const executeDetail = currentInstruction
       ? `Execute ${currentInstruction.mnemonic} and update registers/memory.`
       : 'Execute instruction and update state.'
+    const fault = currentDelta?.fault
+    if (fault) {
+      const faultStep = {
+        key: 'fault',
+        title: 'Fault',
+        detail: `Abandon the instruction: PC stays at ${wordToHex(fault.instrAddr)}, req bit ${fault.bit} (${interruptName(fault.bit)}) is set.` +
+          (fault.halted ? ' No interrupt can handle it, so the machine halts.' : '')
+      }
+      if (fault.kind === 'fetch') {
+        return [
+          { key: 'fetch', title: 'Fetch', detail: `${fetchAddr} is outside the program segment.` },
+          faultStep
+        ]
+      }
+      return [
+        { key: 'fetch', title: 'Fetch', detail: fetchDetail },
+        { key: 'decode', title: 'Decode', detail: decodeDetail },
+        faultStep
+      ]
+    }
 
     return [
       { key: 'fetch', title: 'Fetch', detail: fetchDetail },
       { key: 'decode', title: 'Decode', detail: decodeDetail },
       { key: 'execute', title: 'Execute', detail: executeDetail }
     ]
-  }, [currentState, currentInstruction, currentInstrAddress])
+  }, [currentState, currentDelta, currentInstruction, currentInstrAddress])
 
   const dataFlowLines = useMemo(() => {
+    if (mode === 'advanced' && currentDelta?.interrupt) {
+      const { index, handler } = currentDelta.interrupt
+      return ['pc -> rpc', 'statusreg -> rstat', `vect + 2*${index} -> pc (${wordToHex(handler)})`]
+    }
+    if (mode === 'advanced' && currentDelta?.fault) {
+      const { bit, instrAddr } = currentDelta.fault
+      return [`1 -> req bit ${bit}`, `${wordToHex(instrAddr)} -> pc`]
+    }
     if (mode !== 'advanced' || !currentDelta || !currentState || !currentInstruction) return []
     const flows = []
     const prevRegs = previousState?.reg || currentState.reg
@@ -595,14 +1090,40 @@ export function Sigma16Visualizer() {
                 <div className="listing listing-locked" ref={listingRef}>
                   {listingLines.map((line, index) => {
                     const isActive = index === currentLineIndex
+                    const isBreakable = breakableLines.has(index)
+                    const hasBreakpoint = isBreakable && breakpoints.has(index)
+                    const runs = profile?.byLine.get(index)?.count ?? 0
                     return (
                       <div
                         key={`${index}-${line}`}
                         ref={isActive ? activeLineRef : null}
-                        className={`listing-line ${isActive ? 'active' : ''}`}
+                        className={`listing-line ${isActive ? 'active' : ''} ${hasBreakpoint ? 'has-breakpoint' : ''} ${isBreakable && index === cursorLine ? 'cursor' : ''}`}
                       >
-                        <span className="line-number">{String(index + 1).padStart(3, ' ')}</span>
-                        <span className="line-text">{line || ' '}</span>
+                        <span className="line-number">
+                          {isBreakable ? (
+                            <button
+                              type="button"
+                              className="breakpoint-toggle"
+                              onClick={() => toggleBreakpoint(index)}
+                              aria-label={`${hasBreakpoint ? 'Remove' : 'Set'} breakpoint on line ${index + 1}`}
+                              title={`${hasBreakpoint ? 'Remove' : 'Set'} breakpoint`}
+                            >
+                              {String(index + 1).padStart(3, ' ')}
+                            </button>
+                          ) : String(index + 1).padStart(3, ' ')}
+                        </span>
+                        <span
+                          className="line-heat"
+                          style={{ '--heat': profile ? lineHeat(profile, index) : 0 }}
+                          title={profile && isBreakable ? `Ran ${runs} time${runs === 1 ? '' : 's'} so far` : undefined}
+                        />
+                        <span
+                          className={`line-text ${isBreakable ? 'pickable' : ''}`}
+                          onClick={isBreakable ? () => setCursorLine((prev) => (prev === index ? null : index)) : undefined}
+                          title={isBreakable ? 'Pick this line for Run to Cursor' : undefined}
+                        >
+                          {line || ' '}
+                        </span>
                       </div>
                     )
                   })}
@@ -628,8 +1149,19 @@ export function Sigma16Visualizer() {
               <p className="pane-help">
                 Assemble &amp; Run translates your human-readable assembly into machine code that
                 the Sigma16 CPU can execute, then builds a step-by-step timeline so you can follow
-                each instruction. Use Step Back/Forward to move, Reset to return to step 0, and End
-                to jump to the final step.
+                each instruction. Steps are run on demand as you step or drag the slider, so
+                long programs start instantly; Stop cancels a long run. Use Step Back/Forward to
+                move, Reset to return to step 0, and End to run until the program halts or the
+                step budget runs out. Click a line number in the listing to set a breakpoint;
+                Continue and Reverse Continue jump to the next or previous step that executes a
+                breakpoint line. Step Over runs a jal until its subroutine returns, Step Out runs
+                until the current subroutine returns, and Run to Cursor goes to the next step
+                that executes the line you clicked in the listing; each has a reverse version
+                that goes back the same way. Give a breakpoint a condition such as R3 == 10, mem[sum] &gt; 100,
+                ccE or step &gt; 500 to stop only when it holds. If the budget runs out, Continue
+                runs more steps. Randomise uninitialised state fills the registers and every
+                memory word the program does not define with random values, so reading something
+                before setting it gives garbage instead of a lucky 0.
               </p>
             )}
             <div className="control-layout">
@@ -641,6 +1173,19 @@ export function Sigma16Visualizer() {
                 >
                   {isExecuting ? 'Running...' : 'Assemble & Run'}
                 </button>
+                {isExecuting && (
+                  <button onClick={stopExecution} className="btn-stop">
+                    Stop
+                  </button>
+                )}
+                <label className="register-toggle">
+                  <input
+                    type="checkbox"
+                    checked={randomizeUninitialized}
+                    onChange={(event) => setRandomizeUninitialized(event.target.checked)}
+                  />
+                  Randomise uninitialised state
+                </label>
 
                 <div className="step-controls">
                   <button onClick={reset} disabled={!hasTimeline || currentStep === 0}>
@@ -652,10 +1197,152 @@ export function Sigma16Visualizer() {
                   <button onClick={nextStep} disabled={!canStepForward}>
                     Step Forward
                   </button>
-                  <button onClick={goToEnd} disabled={!hasTimeline || currentStep === totalSteps}>
+                  <button onClick={goToEnd} disabled={!hasTimeline || isAtEnd}>
                     End
                   </button>
                 </div>
+
+                {hasTimeline && (
+                  <div className="breakpoint-controls">
+                    <button
+                      onClick={() => seekBackward(hitsBreakpoint)}
+                      disabled={!canStepBackward}
+                    >
+                      Reverse Continue
+                    </button>
+                    <button
+                      onClick={() => seekForward(hitsBreakpoint)}
+                      disabled={!canStepForward}
+                    >
+                      Continue
+                    </button>
+                    <span className="breakpoint-count">
+                      {breakpoints.size === 0
+                        ? 'Click a line number to set a breakpoint'
+                        : `${breakpoints.size} breakpoint${breakpoints.size === 1 ? '' : 's'}`}
+                    </span>
+                    {breakpoints.size > 0 && (
+                      <button type="button" className="link-button" onClick={() => setBreakpoints(new Map())}>
+                        Clear
+                      </button>
+                    )}
+                  </div>
+                )}
+
+                {hasTimeline && (
+                  <div className="breakpoint-controls call-controls">
+                    <button
+                      onClick={() => seekCallDepth(false, false)}
+                      disabled={!canStepBackward}
+                      title="Step back, skipping over a whole subroutine call"
+                    >
+                      Reverse Step Over
+                    </button>
+                    <button
+                      onClick={() => seekCallDepth(true, false)}
+                      disabled={!canStepForward}
+                      title="Step forward, running a jal to the end of the subroutine"
+                    >
+                      Step Over
+                    </button>
+                    <button
+                      onClick={() => seekCallDepth(false, true)}
+                      disabled={!canStepBackward || callDepth === 0}
+                      title="Go back to just before the current subroutine was called"
+                    >
+                      Reverse Step Out
+                    </button>
+                    <button
+                      onClick={() => seekCallDepth(true, true)}
+                      disabled={!canStepForward || callDepth === 0}
+                      title="Run until the current subroutine returns"
+                    >
+                      Step Out
+                    </button>
+                    <button
+                      onClick={() => seekBackward(hitsCursor)}
+                      disabled={!canStepBackward || cursorLine === null}
+                    >
+                      Reverse to Cursor
+                    </button>
+                    <button
+                      onClick={() => seekForward(hitsCursor)}
+                      disabled={!canStepForward || cursorLine === null}
+                    >
+                      Run to Cursor
+                    </button>
+                    <span className="breakpoint-count">
+                      {cursorLine === null
+                        ? 'Click a line in the listing to pick the cursor'
+                        : `Cursor: line ${cursorLine + 1}`}
+                    </span>
+                  </div>
+                )}
+
+                {hasTimeline && breakpoints.size > 0 && (
+                  <ul className="breakpoint-list">
+                    {[...breakpoints.entries()]
+                      .sort(([a], [b]) => a - b)
+                      .map(([lineIndex, condition]) => {
+                        const conditionError = breakpointConditions.get(lineIndex)?.error
+                        return (
+                          <li key={lineIndex}>
+                            <span className="breakpoint-line">
+                              Line {lineIndex + 1}: <code>{(listingLines[lineIndex] || '').trim()}</code>
+                            </span>
+                            <input
+                              type="text"
+                              value={condition}
+                              onChange={(event) => setBreakpointCondition(lineIndex, event.target.value)}
+                              placeholder="Condition, e.g. R3 == 10 (blank = always)"
+                              aria-label={`Condition for the breakpoint on line ${lineIndex + 1}`}
+                              className={conditionError ? 'invalid' : ''}
+                            />
+                            {conditionError && (
+                              <span className="breakpoint-error">{conditionError} (breakpoint ignored)</span>
+                            )}
+                          </li>
+                        )
+                      })}
+                  </ul>
+                )}
+
+                {hasTimeline && (
+                  <div className="step-scrubber">
+                    <input
+                      type="range"
+                      min={0}
+                      max={scrubberMax}
+                      value={currentStep}
+                      onChange={(event) => goToStep(Number(event.target.value))}
+                      aria-label="Scrub through the timeline"
+                    />
+                    {timeline.timerLog?.events.length > 0 && scrubberMax > 0 && (
+                      <div className="scrubber-marks">
+                        {timeline.timerLog.events.map((event) => (
+                          <button
+                            key={`${event.kind}-${event.step}`}
+                            type="button"
+                            className={`scrubber-mark ${event.kind}`}
+                            style={{ left: `${(event.step / scrubberMax) * 100}%` }}
+                            onClick={() => goToStep(event.step)}
+                            title={event.kind === 'fired'
+                              ? `Step ${event.step}: timer went off`
+                              : `Step ${event.step}: timer interrupt taken`}
+                            aria-label={event.kind === 'fired'
+                              ? `Go to step ${event.step}, where the timer went off`
+                              : `Go to step ${event.step}, where the timer interrupt was taken`}
+                          />
+                        ))}
+                      </div>
+                    )}
+                    <span className="scrubber-note">
+                      {timeline.completed
+                        ? `${totalSteps} steps`
+                        : `${totalSteps} of up to ${timeline.stepLimit} steps run`}
+                    </span>
+                  </div>
+                )}
               </div>
 
               <div className="control-stats">
@@ -672,8 +1359,27 @@ export function Sigma16Visualizer() {
                     </div>
                     <div className="stat-item">
                       <span>Status</span>
-                      <span>{stats.completed ? 'Halted' : 'Running'}</span>
+                      <span>{runStatus}</span>
                     </div>
+                    {cycles && (
+                      <>
+                        <div className="stat-item">
+                          <span>Cycles</span>
+                          <span>
+                            {cycles.cycles}
+                            {currentStep > 0 && ` (+${cycles.stepCycles})`}
+                          </span>
+                        </div>
+                        <div className="stat-item">
+                          <span>CPI</span>
+                          <span>{cycles.cpi === null ? '-' : cycles.cpi.toFixed(2)}</span>
+                        </div>
+                        <div className="stat-item">
+                          <span>Time</span>
+                          <span>{cycles.seconds === null ? '-' : formatDuration(cycles.seconds)}</span>
+                        </div>
+                      </>
+                    )}
                   </div>
                 )}
               </div>
@@ -707,6 +1413,66 @@ export function Sigma16Visualizer() {
               </p>
             )}
 
+            {hasTimeline && !isExecuting && timeline.completed && (
+              <div className="run-notice halted">
+                {timeline.deltas[totalSteps - 1]?.fault?.halted
+                  ? `Program halted by a fault no interrupt could handle at step ${totalSteps}.`
+                  : `Program halted after ${totalSteps} steps.`}
+              </div>
+            )}
+
+            {hasTimeline && !isExecuting && timeline.budgetExhausted && (
+              <div className={`run-notice ${timeline.loop ? 'loop' : 'budget'}`}>
+                {timeline.loop ? (
+                  <>
+                    <p>
+                      Infinite loop detected: at step {timeline.loop.lastStep} the machine was
+                      in exactly the same state as {timeline.loop.period} step(s) earlier, so it
+                      would repeat those steps forever. The loop runs from address{' '}
+                      {wordToHex(timeline.loop.startAddress)} to {wordToHex(timeline.loop.endAddress)}
+                      {loopLines.length > 0 && (
+                        <> (source line{loopLines.length > 1 ? 's' : ''} {loopLines.join(', ')})</>
+                      )}.
+                    </p>
+                    <p>
+                      <button
+                        type="button"
+                        className="toggle-button"
+                        onClick={() => goToStep(timeline.loop.firstStep)}
+                      >
+                        Go to loop start (step {timeline.loop.firstStep})
+                      </button>
+                    </p>
+                  </>
+                ) : (
+                  <p>
+                    The step budget of {timeline.stepLimit} steps ran out before the program
+                    halted. It may be stuck in a loop, or it may just need more steps.
+                  </p>
+                )}
+                <div className="continue-controls">
+                  <label htmlFor="continue-steps">Continue for</label>
+                  <input
+                    id="continue-steps"
+                    type="number"
+                    min={1}
+                    step={1000}
+                    value={continueSteps}
+                    onChange={(event) => setContinueSteps(Number(event.target.value))}
+                  />
+                  <span>more steps</span>
+                  <button
+                    type="button"
+                    className="toggle-button"
+                    onClick={() => continueExecution(continueSteps)}
+                    disabled={!(continueSteps > 0)}
+                  >
+                    Continue
+                  </button>
+                </div>
+              </div>
+            )}
+
             {error && (
               <div className="error-display">
                 <h3>Error</h3>
@@ -727,6 +1493,11 @@ export function Sigma16Visualizer() {
                 <section className="explanation-section">
                   <h2>Step Explanation</h2>
                   <p className="instruction-explanation">{explanation}</p>
+                  {stepWarnings.map((warning) => (
+                    <p key={warning.key} className="warning-note">
+                      {describeWarning(warning, timeline.anomalies.layout)}
+                    </p>
+                  ))}
                 </section>
 
                 {currentDelta && (
@@ -746,6 +1517,52 @@ export function Sigma16Visualizer() {
                   </section>
                 )}
 
+                {warnings.length > 0 && (
+                  <section className="warnings-section">
+                    <div className="section-title">
+                      <h2>Warnings</h2>
+                      <button
+                        type="button"
+                        className={`help-button ${openHelp.warnings ? 'active' : ''}`}
+                        onClick={() => toggleHelp('warnings')}
+                        aria-label="Explain the warnings"
+                        title="Explain the warnings"
+                      >
+                        ?
+                      </button>
+                    </div>
+                    {openHelp.warnings && (
+                      <p className="pane-help">
+                        Things the program did that are probably mistakes: using a register or
+                        memory word before anything was put in it, a store that overwrote one of
+                        its own instructions, a data word executed as an instruction, or execution
+                        running past the last assembled word. Each is listed once, at the first
+                        step it happened. Warnings after the current step are faded; click
+                        one to jump to its step.
+                      </p>
+                    )}
+                    <ul className="warning-list">
+                      {warnings.map((warning) => {
+                        const line = timeline.lineMap?.[warning.instrAddr]
+                        return (
+                          <li
+                            key={warning.key}
+                            className={`${warning.step === currentStep ? 'current' : ''} ${warning.step > currentStep ? 'later' : ''}`}
+                          >
+                            <button type="button" onClick={() => goToStep(warning.step)}>
+                              <span className="warning-step">
+                                Step {warning.step}
+                                {line !== undefined && line !== null && ` (line ${line + 1})`}
+                              </span>
+                              <span>{describeWarning(warning, timeline.anomalies.layout)}</span>
+                            </button>
+                          </li>
+                        )
+                      })}
+                    </ul>
+                  </section>
+                )}
+
                 {mode === 'advanced' && (
                   <section className="current-instruction">
                     <div className="section-title">
@@ -779,6 +1596,14 @@ export function Sigma16Visualizer() {
                         <span className="label">IR</span>
                         <span className="value">{wordToHex(currentState.ir)}</span>
                       </div>
+                      {currentDelta?.interrupt && (
+                        <div className="instr-decoded">
+                          <span className="mnemonic">interrupt</span>
+                          <span className="operands">
+                            {currentDelta.interrupt.index} ({interruptName(currentDelta.interrupt.index)})
+                          </span>
+                        </div>
+                      )}
                       {currentInstruction && (
                         <div className="instr-decoded">
                           <span className="mnemonic">{currentInstruction.mnemonic}</span>
@@ -912,13 +1737,19 @@ export function Sigma16Visualizer() {
                       <div className="memory-view">
                         {memoryLocations.map((addr) => {
                           const isChanged = currentDelta?.changedMemory?.[addr] !== undefined
+                          const isRead = memoryReads.has(addr)
+                          const isFetched = showPointers && memoryFetches.has(addr)
                           const isCurrentInstr = showPointers && currentInstrAddress === addr
                           const isStackPointer = showPointers && stackPointer === addr
+                          const access = isRead && isChanged
+                            ? 'Read and written in this step'
+                            : isChanged ? 'Written in this step' : isRead ? 'Read in this step' : ''
                           return (
                             <div
                               key={addr}
-                              className={`memory-cell ${isChanged ? 'changed' : ''} ${isCurrentInstr ? 'current-instruction' : ''} ${isStackPointer ? 'stack-pointer' : ''}`}
-                              title={isCurrentInstr ? 'Current instruction address' : (isStackPointer ? 'Stack pointer' : (isChanged ? 'Changed in this step' : ''))}
+                              className={`memory-cell ${isChanged ? 'changed' : ''} ${isRead ? 'read' : ''} ${isFetched ? 'fetched' : ''} ${isCurrentInstr ? 'current-instruction' : ''} ${isStackPointer ? 'stack-pointer' : ''} ${isProvenanceTarget('memory', addr) ? 'selected' : ''}`}
+                              onClick={() => setProvenanceTarget({ kind: 'memory', location: addr })}
+                              title={isCurrentInstr ? 'Current instruction address' : (isStackPointer ? 'Stack pointer' : access)}
                             >
                               <span className="mem-addr">{wordToHex(addr)}</span>
                               <span className="mem-value">{formatValue(currentState.mem[addr], displayFormat)}</span>
@@ -932,6 +1763,11 @@ export function Sigma16Visualizer() {
                           )
                         })}
                       </div>
+                      <div className="memory-legend">
+                        <span className="legend-read">read</span>
+                        <span className="legend-write">written</span>
+                        {showPointers && <span className="legend-fetch">instruction fetch</span>}
+                      </div>
                     </>
                   )}
                 </section>
@@ -998,7 +1834,8 @@ export function Sigma16Visualizer() {
                       return (
                         <div
                           key={index}
-                          className={`register ${specialClass} ${isChanged ? 'changed' : ''} ${isInput ? 'input' : ''} ${isOutput ? 'output' : ''} ${showUnused ? 'unused' : ''}`}
+                          className={`register ${specialClass} ${isChanged ? 'changed' : ''} ${isInput ? 'input' : ''} ${isOutput ? 'output' : ''} ${showUnused ? 'unused' : ''} ${isProvenanceTarget('register', index) ? 'selected' : ''}`}
+                          onClick={() => setProvenanceTarget({ kind: 'register', location: index })}
                           title={isChanged ? 'Changed in this step' : ''}
                         >
                           <span className="reg-name">R{index}</span>
@@ -1072,6 +1909,437 @@ export function Sigma16Visualizer() {
                     <p className="empty-state">Run a program to see the label table.</p>
                   )}
                 </section>
+
+                <section className="watch-section">
+                  <div className="section-title">
+                    <h2>Watch List</h2>
+                    <button
+                      type="button"
+                      className={`help-button ${openHelp.watches ? 'active' : ''}`}
+                      onClick={() => toggleHelp('watches')}
+                      aria-label="Explain the watch list"
+                      title="Explain the watch list"
+                    >
+                      ?
+                    </button>
+                  </div>
+                  {openHelp.watches && (
+                    <p className="pane-help">
+                      A watchpoint keeps an eye on a register (R3), a labelled word (sum or sum+1),
+                      an address ($0010) or a range of addresses (arr..arr+9). For each one you can
+                      see the last step up to now that wrote it, with the value before and after
+                      that write. The arrows jump to the previous or next step that writes it, which
+                      is a quick way to find out where a value came from.
+                    </p>
+                  )}
+                  <form className="watch-add" onSubmit={handleAddWatch}>
+                    <input
+                      type="text"
+                      value={watchInput}
+                      onChange={(event) => setWatchInput(event.target.value)}
+                      placeholder="R3, sum, $0010..$001f"
+                      aria-label="Location to watch"
+                    />
+                    <button type="submit" className="toggle-button" disabled={!watchInput.trim()}>
+                      Watch
+                    </button>
+                  </form>
+                  {watchError && <p className="watch-error">{watchError}</p>}
+                  {watchRows.length > 0 ? (
+                    <div className="label-table watch-table">
+                      <table>
+                        <thead>
+                          <tr>
+                            <th>Watch</th>
+                            <th>Step</th>
+                            <th>Location</th>
+                            <th>Old</th>
+                            <th>New</th>
+                            <th aria-label="Actions" />
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {watchRows.map((row) => (
+                            <tr key={row.id} className={row.lastWrite?.step === currentStep ? 'highlight' : ''}>
+                              <td>{row.text}</td>
+                              {row.error ? (
+                                <td colSpan={4} className="watch-error">{row.error}</td>
+                              ) : row.lastWrite ? (
+                                <>
+                                  <td>{row.lastWrite.step}</td>
+                                  <td>{formatWatchLocation(row.target, row.lastWrite.location)}</td>
+                                  <td>{formatValue(row.lastWrite.oldValue, displayFormat)}</td>
+                                  <td>{formatValue(row.lastWrite.newValue, displayFormat)}</td>
+                                </>
+                              ) : (
+                                <td colSpan={4} className="watch-none">Not written yet</td>
+                              )}
+                              <td className="watch-actions">
+                                <button
+                                  type="button"
+                                  onClick={() => seekBackward((delta) => writesWatch(row.target, delta))}
+                                  disabled={!row.target || !canStepBackward}
+                                  title="Previous write"
+                                  aria-label={`Previous write to ${row.text}`}
+                                >
+                                  ◀
+                                </button>
+                                <button
+                                  type="button"
+                                  onClick={() => seekForward((delta) => writesWatch(row.target, delta))}
+                                  disabled={!row.target || !canStepForward}
+                                  title="Next write"
+                                  aria-label={`Next write to ${row.text}`}
+                                >
+                                  ▶
+                                </button>
+                                <button
+                                  type="button"
+                                  onClick={() => removeWatch(row.id)}
+                                  title="Remove watch"
+                                  aria-label={`Remove watch on ${row.text}`}
+                                >
+                                  ×
+                                </button>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  ) : (
+                    <p className="empty-state">Add a register, label or address range to watch it.</p>
+                  )}
+                </section>
+
+                <section className="provenance-section">
+                  <div className="section-title">
+                    <h2>
+                      Value History
+                      {provenanceTarget && (
+                        <span className="provenance-target">
+                          {' '}
+                          {provenanceTarget.kind === 'register'
+                            ? `R${provenanceTarget.location}`
+                            : formatWatchLocation({ kind: 'memory' }, provenanceTarget.location)}
+                        </span>
+                      )}
+                    </h2>
+                    <button
+                      type="button"
+                      className={`help-button ${openHelp.provenance ? 'active' : ''}`}
+                      onClick={() => toggleHelp('provenance')}
+                      aria-label="Explain the value history"
+                      title="Explain the value history"
+                    >
+                      ?
+                    </button>
+                  </div>
+                  {openHelp.provenance && (
+                    <p className="pane-help">
+                      Click a register or a memory cell to see every step that wrote it: the
+                      instruction, the source line it came from and the value it wrote. The
+                      highlighted entry is the write that produced the value you see now; entries
+                      after the current step are faded. Only the writes nearest the current step
+                      are listed. Click an entry to jump to that step.
+                    </p>
+                  )}
+                  {!provenance ? (
+                    <p className="empty-state">Click a register or memory cell to see which steps wrote it.</p>
+                  ) : (
+                    <ul className="provenance-list">
+                      {provenance.earlier > 0 ? (
+                        <li className="provenance-more">
+                          {provenance.earlier} earlier write{provenance.earlier === 1 ? '' : 's'} not shown
+                        </li>
+                      ) : (
+                        <li className={provenance.sourceIndex === -1 ? 'source' : ''}>
+                          <button type="button" onClick={() => goToStep(0)}>
+                            <span className="provenance-step">Step 0</span>
+                            <span className="provenance-instr">initial value</span>
+                            <span className="provenance-value">{formatValue(provenance.initialValue, displayFormat)}</span>
+                          </button>
+                        </li>
+                      )}
+                      {provenance.entries.map((entry, position) => (
+                        <li
+                          key={entry.step}
+                          className={`${position === provenance.sourceIndex ? 'source' : ''} ${entry.step > currentStep ? 'later' : ''}`}
+                        >
+                          <button type="button" onClick={() => goToStep(entry.step)}>
+                            <span className="provenance-step">Step {entry.step}</span>
+                            <span className="provenance-instr">
+                              {entry.instruction}
+                              {entry.line !== null && <span className="provenance-line"> (line {entry.line + 1})</span>}
+                            </span>
+                            <span className="provenance-value">{formatValue(entry.value, displayFormat)}</span>
+                          </button>
+                        </li>
+                      ))}
+                      {provenance.later > 0 && (
+                        <li className="provenance-more">
+                          {provenance.later} later write{provenance.later === 1 ? '' : 's'} not shown
+                        </li>
+                      )}
+                    </ul>
+                  )}
+                </section>
+
+                <section className="profile-section">
+                  <div className="section-title">
+                    <h2>Profile</h2>
+                    <div className="profile-actions">
+                      <button
+                        type="button"
+                        className={`help-button ${openHelp.profile ? 'active' : ''}`}
+                        onClick={() => toggleHelp('profile')}
+                        aria-label="Explain the profile"
+                        title="Explain the profile"
+                      >
+                        ?
+                      </button>
+                      <button
+                        type="button"
+                        className="toggle-button"
+                        onClick={() => setShowProfile((prev) => !prev)}
+                      >
+                        {showProfile ? 'Hide' : 'Show'}
+                      </button>
+                    </div>
+                  </div>
+                  {openHelp.profile && (
+                    <p className="pane-help">
+                      How often each source line has run up to the current step, so you can see
+                      where the program spends its time. The strip next to the line numbers in the
+                      listing is darker for lines that ran more often. Loads and Stores count the
+                      memory words the line read and wrote. For conditional jumps, Jumped and Fell
+                      through count how often the jump was taken or not. Click a column heading to
+                      sort by it. The profile and the strip are only kept up to date while the
+                      profile is shown.
+                    </p>
+                  )}
+                  {showProfile && (!profile || profile.instructions === 0 ? (
+                    <p className="empty-state">Step forward to start counting.</p>
+                  ) : (
+                    <div className="label-table watch-table profile-table">
+                      <table>
+                        <thead>
+                          <tr>
+                            {PROFILE_COLUMNS.map(({ key, label }) => (
+                              <th key={key}>
+                                <button
+                                  type="button"
+                                  className={`profile-sort ${profileSort.key === key ? 'active' : ''}`}
+                                  onClick={() => setProfileSort((prev) => ({
+                                    key,
+                                    descending: prev.key === key ? !prev.descending : key !== 'line'
+                                  }))}
+                                >
+                                  {label}
+                                  {profileSort.key === key && (profileSort.descending ? ' ▼' : ' ▲')}
+                                </button>
+                              </th>
+                            ))}
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {profileLines.map((entry) => (
+                            <tr key={entry.line} className={entry.line === currentLineIndex ? 'highlight' : ''}>
+                              <td title={listingLines[entry.line]}>
+                                {entry.line + 1}{' '}
+                                <span className="profile-source">{listingLines[entry.line]?.trim()}</span>
+                              </td>
+                              <td>
+                                {entry.count}{' '}
+                                <span className="profile-share">
+                                  ({((entry.count / profile.instructions) * 100).toFixed(1)}%)
+                                </span>
+                              </td>
+                              <td>{entry.loads}</td>
+                              <td>{entry.stores}</td>
+                              <td>{entry.taken + entry.notTaken > 0 ? entry.taken : ''}</td>
+                              <td>{entry.taken + entry.notTaken > 0 ? entry.notTaken : ''}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  ))}
+                </section>
+
+                <section className="cost-section">
+                  <div className="section-title">
+                    <h2>Cycle Cost Model</h2>
+                    <button
+                      type="button"
+                      className={`help-button ${openHelp.costModel ? 'active' : ''}`}
+                      onClick={() => toggleHelp('costModel')}
+                      aria-label="Explain the cycle cost model"
+                      title="Explain the cycle cost model"
+                    >
+                      ?
+                    </button>
+                  </div>
+                  {openHelp.costModel && (
+                    <p className="pane-help">
+                      How many clock cycles each kind of instruction takes. Every instruction costs
+                      the cycles of its class, and each data word it loads or stores adds a memory
+                      access. Execution Statistics then shows the cycles up to the current step (and
+                      what this step cost), the average cycles per instruction (CPI) and how long
+                      that takes at the clock rate. Interrupt entries and instructions abandoned by
+                      a fault cost nothing. Pick a preset or type your own costs, then run two
+                      versions of a program to compare them.
+                    </p>
+                  )}
+                  <div className="cost-controls">
+                    <select
+                      value={costPreset}
+                      onChange={(event) => {
+                        const preset = event.target.value
+                        setCostPreset(preset)
+                        if (COST_PRESETS[preset]) setCostValues({ ...COST_PRESETS[preset].costs })
+                      }}
+                      aria-label="Cost preset"
+                    >
+                      {Object.entries(COST_PRESETS).map(([key, { name }]) => (
+                        <option key={key} value={key}>{name}</option>
+                      ))}
+                      <option value="custom">Custom</option>
+                    </select>
+                    <label>
+                      Clock
+                      <input
+                        type="number"
+                        min={0}
+                        step="any"
+                        value={clockMHz}
+                        onChange={(event) => setClockMHz(event.target.value)}
+                        aria-label="Clock rate in MHz"
+                      />
+                      MHz
+                    </label>
+                  </div>
+                  <div className="label-table watch-table cost-table">
+                    <table>
+                      <thead>
+                        <tr>
+                          <th>Class</th>
+                          <th>Cycles</th>
+                          <th>Applies to</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {COST_CLASSES.map(({ key, name, meaning }) => (
+                          <tr key={key}>
+                            <td>{name}</td>
+                            <td>
+                              <input
+                                type="number"
+                                min={0}
+                                value={costValues[key]}
+                                onChange={(event) => {
+                                  const { value } = event.target
+                                  setCostPreset('custom')
+                                  setCostValues((prev) => ({ ...prev, [key]: value }))
+                                }}
+                                aria-label={`${name} cycles`}
+                              />
+                            </td>
+                            <td>{meaning}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  {costModel.error && <p className="watch-error">{costModel.error}</p>}
+                </section>
+
+                <section className="branch-section">
+                  <div className="section-title">
+                    <h2>What-if Branches</h2>
+                    <button
+                      type="button"
+                      className={`help-button ${openHelp.branches ? 'active' : ''}`}
+                      onClick={() => toggleHelp('branches')}
+                      aria-label="Explain what-if branches"
+                      title="Explain what-if branches"
+                    >
+                      ?
+                    </button>
+                  </div>
+                  {openHelp.branches && (
+                    <p className="pane-help">
+                      Ask "what if R2 had been 5 here?". Pause at a step, list the changes you want
+                      (a register, a memory word such as sum or $0010, or a flag such as ccE), then
+                      branch. The program runs again from the changed state as a new timeline, and
+                      the original run is kept. Click a branch in the tree to switch between runs;
+                      while a branch is shown, the differences from its parent at the same point in
+                      the run are listed below.
+                    </p>
+                  )}
+                  <form className="branch-edit" onSubmit={handleAddEdit}>
+                    <input
+                      type="text"
+                      value={editTarget}
+                      onChange={(event) => setEditTarget(event.target.value)}
+                      placeholder="R2, sum, ccE"
+                      aria-label="Register, memory word or flag to change"
+                    />
+                    <span>=</span>
+                    <input
+                      type="text"
+                      value={editValue}
+                      onChange={(event) => setEditValue(event.target.value)}
+                      placeholder="5, $00ff, 1"
+                      aria-label="New value"
+                    />
+                    <button type="submit" className="toggle-button" disabled={!editTarget.trim() || !editValue.trim()}>
+                      Add
+                    </button>
+                  </form>
+                  {editError && <p className="watch-error">{editError}</p>}
+                  {pendingEdits.length > 0 && (
+                    <div className="branch-pending">
+                      <span>{describeEdits(pendingEdits, wordToHex)}</span>
+                      <button type="button" className="link-button" onClick={() => setPendingEdits([])}>
+                        Clear
+                      </button>
+                      <button
+                        type="button"
+                        className="toggle-button"
+                        onClick={handleCreateBranch}
+                        disabled={isExecuting}
+                      >
+                        Branch from step {currentStep}
+                      </button>
+                    </div>
+                  )}
+                  <div className="branch-tree">{renderBranchNodes('root')}</div>
+                  {parentComparison && (
+                    <div className="branch-compare">
+                      <h3>Compared with its parent at step {parentComparison.step}</h3>
+                      {!branchDifferences ? (
+                        <p className="empty-state">The parent run has no step {parentComparison.step} to compare with.</p>
+                      ) : branchDifferences.differences.length === 0 ? (
+                        <p className="empty-state">Registers and memory are the same as in the parent.</p>
+                      ) : (
+                        <ul>
+                          {branchDifferences.differences.map((difference) => (
+                            <li key={difference.name}>
+                              <span>{difference.name}</span>
+                              <span>
+                                {formatValue(difference.parent, displayFormat)} → {formatValue(difference.branch, displayFormat)}
+                              </span>
+                            </li>
+                          ))}
+                          {branchDifferences.hiddenMemory > 0 && (
+                            <li className="empty-state">and {branchDifferences.hiddenMemory} more memory words</li>
+                          )}
+                        </ul>
+                      )}
+                    </div>
+                  )}
+                </section>
               </>
             )}
           </div>
@@ -1093,9 +2361,14 @@ export function Sigma16Visualizer() {
               {openHelp.io && (
                 <p className="pane-help">
                   Sigma16 uses trap codes for basic I/O. Trap code 1 reads characters from the
-                  input buffer into memory (R[a] = address, R[b] = length). Trap code 2 writes
-                  characters from memory to the output log. Each character is stored as its ASCII
-                  code in memory. Reads are highlighted in green in the log.
+                  input buffer into memory (R[a] = address, R[b] = length). Trap code 3 does the
+                  same but waits if the buffer is empty: the run pauses and asks you for input
+                  here, and that input is kept with the timeline. Trap code 2 writes characters
+                  from memory to the output log. Each character is stored as its ASCII code in
+                  memory. Reads are highlighted in green in the log. Click any text in the log
+                  to jump to the step whose trap wrote or read it. Input scenarios are named
+                  inputs saved in the program: each is a list of chunks, and each read takes the
+                  next chunk. Run one to step through it, or run them all to compare their output.
                 </p>
               )}
               <div className="io-console">
@@ -1104,7 +2377,44 @@ export function Sigma16Visualizer() {
                   className="io-log"
                   aria-live="polite"
                   ref={ioLogRef}
-                />
+                >
+                  {ioEvents.length > 0 && (
+                    <pre>
+                      {ioEvents.map((event, index) => (
+                        <span
+                          key={index}
+                          className={`io-event ${event.kind === 'read' ? 'READ' : 'io-write'} ${event.step === currentStep ? 'current' : ''}`}
+                          onClick={() => goToStep(event.step)}
+                          title={event.step === 0
+                            ? 'From before this branch was forked: go to step 0'
+                            : `${event.kind === 'read' ? 'Read' : 'Written'} at step ${event.step}: go to that step`}
+                        >
+                          {event.text}
+                        </span>
+                      ))}
+                    </pre>
+                  )}
+                </div>
+                {hasTimeline && timeline.waitingForInput && (
+                  <form className="io-prompt" onSubmit={handleProvideInput}>
+                    <label htmlFor="io-prompt-input">
+                      The program is waiting at a blocking read (trap code 3) after step {totalSteps}.
+                      Type a line of input; Send adds the newline, so an empty line sends just that:
+                    </label>
+                    <div className="io-prompt-row">
+                      <input
+                        id="io-prompt-input"
+                        type="text"
+                        value={promptInput}
+                        onChange={(event) => setPromptInput(event.target.value)}
+                        autoFocus
+                      />
+                      <button type="submit" className="toggle-button">
+                        Send
+                      </button>
+                    </div>
+                  </form>
+                )}
                 <div className="io-last-input">
                   <div className="io-last-title">Last run input</div>
                   <div className="io-last-content">
@@ -1115,6 +2425,105 @@ export function Sigma16Visualizer() {
                     )}
                   </div>
                 </div>
+                <div className="io-scenarios">
+                  <div className="io-last-title">Input scenarios</div>
+                  {inputScenarios.scenarios.length > 0 ? (
+                    <ul className="scenario-list">
+                      {inputScenarios.scenarios.map((scenario) => (
+                        <li key={scenario.line}>
+                          <span className="scenario-name">{scenario.name}</span>
+                          <span className="scenario-chunks">
+                            {scenario.chunks.map((chunk) => JSON.stringify(chunk)).join(' ')}
+                          </span>
+                          <span className="watch-actions">
+                            <button
+                              type="button"
+                              onClick={() => handleRunScenario(scenario)}
+                              disabled={isExecuting}
+                              title="Assemble and run with this input"
+                            >
+                              Run
+                            </button>
+                            {!hasTimeline && (
+                              <button
+                                type="button"
+                                onClick={() => setSourceCode(removeScenario(sourceCode, scenario))}
+                                title="Remove scenario"
+                                aria-label={`Remove scenario ${scenario.name}`}
+                              >
+                                ×
+                              </button>
+                            )}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  ) : (
+                    <p className="io-note">
+                      No scenarios yet. They are saved in the program as comment lines such as
+                      {' '}<code>; @input hello: "hello\n"</code>.
+                    </p>
+                  )}
+                  {inputScenarios.errors.map(({ line, message }) => (
+                    <p key={line} className="watch-error">Line {line + 1}: {message}</p>
+                  ))}
+                  {!hasTimeline && (
+                    <form className="scenario-add" onSubmit={handleAddScenario}>
+                      <input
+                        type="text"
+                        value={scenarioName}
+                        onChange={(event) => setScenarioName(event.target.value)}
+                        placeholder="Scenario name"
+                        aria-label="Scenario name"
+                      />
+                      <textarea
+                        rows={2}
+                        value={scenarioChunks}
+                        onChange={(event) => setScenarioChunks(event.target.value)}
+                        placeholder="One chunk per line, e.g. hello\n"
+                        aria-label="Scenario input chunks, one per line"
+                      />
+                      <button type="submit" className="toggle-button" disabled={!scenarioName.trim()}>
+                        Add scenario
+                      </button>
+                    </form>
+                  )}
+                  {scenarioError && <p className="watch-error">{scenarioError}</p>}
+                  {inputScenarios.scenarios.length > 0 && (
+                    <button
+                      type="button"
+                      className="toggle-button"
+                      onClick={() => runScenarios(sourceCode, inputScenarios.scenarios)}
+                    >
+                      Run all scenarios
+                    </button>
+                  )}
+                  {scenarioResults && (
+                    <div className="label-table watch-table">
+                      <table>
+                        <thead>
+                          <tr>
+                            <th>Scenario</th>
+                            <th>Result</th>
+                            <th>Output</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {scenarioResults.names.map((name, index) => {
+                            const result = scenarioResults.results[index]
+                            return (
+                              <tr key={`${scenarioResults.batchId}-${index}`}>
+                                <td>{name}</td>
+                                <td>{result ? describeScenarioResult(result) : 'Running...'}</td>
+                                <td><pre className="scenario-output">{result?.output ?? ''}</pre></td>
+                              </tr>
+                            )
+                          })}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </div>
                 <div className="io-input">
                   <label htmlFor="IOinputBuffer">Input buffer</label>
                   <p className="io-note">
@@ -1130,6 +2539,234 @@ export function Sigma16Visualizer() {
               </div>
             </section>
 
+            {mode === 'advanced' && (
+              <section className="interrupt-section">
+                <div className="section-title">
+                  <h2>Interrupts</h2>
+                  <button
+                    type="button"
+                    className={`help-button ${openHelp.interrupts ? 'active' : ''}`}
+                    onClick={() => toggleHelp('interrupts')}
+                    aria-label="Explain the interrupts panel"
+                    title="Explain the interrupts panel"
+                  >
+                    ?
+                  </button>
+                </div>
+                {openHelp.interrupts && (
+                  <p className="pane-help">
+                    Schedule an external interrupt by choosing a request bit and the step at which
+                    it is raised, and optionally a period to raise it again every so many steps,
+                    like a timer. Raising a request only sets its bit in req: the interrupt is
+                    taken when interrupts are enabled in the status register and the bit is set
+                    in mask. Then, instead of the next instruction, the PC is saved in rpc and the
+                    status in rstat, the machine switches to system state with interrupts off and
+                    jumps to the handler at vect + 2*i. The handler ends with resume, which puts
+                    the status and PC back. Schedules apply from the next Assemble &amp; Run.
+                  </p>
+                )}
+                <form className="schedule-add" onSubmit={handleAddSchedule}>
+                  <select
+                    value={scheduleBit}
+                    onChange={(event) => setScheduleBit(event.target.value)}
+                    aria-label="Interrupt request bit"
+                  >
+                    {Array.from({ length: 16 }, (_, bit) => (
+                      <option key={bit} value={bit}>{bit}: {interruptName(bit)}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    min={1}
+                    value={scheduleStep}
+                    onChange={(event) => setScheduleStep(event.target.value)}
+                    placeholder="At step"
+                    aria-label="Step to raise the request at"
+                  />
+                  <input
+                    type="number"
+                    min={0}
+                    value={schedulePeriod}
+                    onChange={(event) => setSchedulePeriod(event.target.value)}
+                    placeholder="Every (optional)"
+                    aria-label="Steps between repeats"
+                  />
+                  <button type="submit" className="toggle-button" disabled={!scheduleStep}>
+                    Schedule
+                  </button>
+                </form>
+                {scheduleError && <p className="watch-error">{scheduleError}</p>}
+                {interruptSchedules.length > 0 ? (
+                  <ul className="scenario-list">
+                    {interruptSchedules.map((schedule, index) => (
+                      <li key={index}>
+                        <span className="scenario-chunks">{describeSchedule(schedule)}</span>
+                        <span className="watch-actions">
+                          <button
+                            type="button"
+                            onClick={() => setInterruptSchedules((prev) => prev.filter((_, i) => i !== index))}
+                            title="Remove schedule"
+                            aria-label={`Remove ${describeSchedule(schedule)}`}
+                          >
+                            ×
+                          </button>
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <p className="empty-state">No interrupts scheduled.</p>
+                )}
+                {hasTimeline && JSON.stringify(interruptSchedules) !== JSON.stringify(timeline.interrupts) && (
+                  <p className="io-note">The current run uses different schedules; Assemble &amp; Run again to apply these.</p>
+                )}
+              </section>
+            )}
+
+            {mode === 'advanced' && currentState?.timer && (
+              <section className="timer-section">
+                <div className="section-title">
+                  <h2>Timer</h2>
+                  <button
+                    type="button"
+                    className={`help-button ${openHelp.timer ? 'active' : ''}`}
+                    onClick={() => toggleHelp('timer')}
+                    aria-label="Explain the timer panel"
+                    title="Explain the timer panel"
+                  >
+                    ?
+                  </button>
+                </div>
+                {openHelp.timer && (
+                  <p className="pane-help">
+                    timeron Rd starts the timer with the major count in Rd, and timeroff stops it.
+                    Every executed instruction is one tick: the minor count runs down to 0, then
+                    the major count goes down by one and the minor count is reloaded with the
+                    resolution. The tick after both reach 0 stops the timer and raises the timer
+                    interrupt request (bit 0 of req), which is taken like any other interrupt.
+                    Taking an interrupt also stops the timer. On the step slider, orange marks
+                    show where the timer went off and blue marks where its interrupt was taken;
+                    click one to go there.
+                  </p>
+                )}
+                <div className="stats">
+                  <div className="stat-item">
+                    <span>Running</span>
+                    <span>{currentState.timer.running ? 'yes' : 'no'}</span>
+                  </div>
+                  <div className="stat-item">
+                    <span>Minor count</span>
+                    <span>{currentState.timer.minor}</span>
+                  </div>
+                  <div className="stat-item">
+                    <span>Major count</span>
+                    <span>{currentState.timer.major}</span>
+                  </div>
+                  <div className="stat-item">
+                    <span>Resolution</span>
+                    <span>{currentState.timer.resolution}</span>
+                  </div>
+                  <div className="stat-item">
+                    <span>Next fires</span>
+                    <span>
+                      {currentState.timer.running
+                        ? `in ${ticksUntilTimerFires(currentState.timer)} instructions`
+                        : 'not running'}
+                    </span>
+                  </div>
+                </div>
+              </section>
+            )}
+
+            {mode === 'advanced' && currentState && (
+              <section className="control-registers">
+                <div className="section-title">
+                  <h2>Control Registers</h2>
+                  <button
+                    type="button"
+                    className={`help-button ${openHelp.controlRegisters ? 'active' : ''}`}
+                    onClick={() => toggleHelp('controlRegisters')}
+                    aria-label="Explain the control registers panel"
+                    title="Explain the control registers panel"
+                  >
+                    ?
+                  </button>
+                </div>
+                {openHelp.controlRegisters && (
+                  <p className="pane-help">
+                    The registers used by the operating system. getctl and putctl name them
+                    status, mask, req, istat, ipc, iir, iadr, vect, psegBeg, psegEnd, dsegBeg and
+                    dsegEnd; adr and dat are internal to the processor. When an interrupt is
+                    taken, the status, PC, ir and adr are saved in rstat, rpc, iir and iadr, and
+                    resume puts them back. An interrupt is taken when interrupts are enabled and
+                    the same bit is set in both mask and req. In user state with segmentation
+                    enabled, instructions must come from bpseg..epseg and data from bdseg..edseg;
+                    an access outside its segment, or putctl in user state, is a fault that
+                    abandons the instruction and sets a request bit. Highlighted rows changed at
+                    this step.
+                  </p>
+                )}
+                {currentDelta?.fault && (
+                  <p className="fault-note">{describeFault(currentDelta.fault)}</p>
+                )}
+                <div className="label-table watch-table">
+                  <table>
+                    <thead>
+                      <tr>
+                        <th>Register</th>
+                        <th>Value</th>
+                        <th>Meaning</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {CONTROL_REGISTERS.map(({ name, ctl, meaning }) => (
+                        <tr key={name} className={changedControls.has(name) ? 'highlight' : ''}>
+                          <td>{ctl && ctl !== name ? `${name} (${ctl})` : name}</td>
+                          <td>{formatValue(currentState[name] ?? 0, displayFormat)}</td>
+                          <td>{meaning}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <h3>Status bits</h3>
+                <div className="flags">
+                  {decodeStatus(currentState.statusreg).map(({ bit, name, set, meaning }) => (
+                    <span
+                      key={bit}
+                      className={`flag ${set ? 'active' : ''}`}
+                      title={`Bit ${bit}: ${name}`}
+                    >
+                      {meaning}
+                    </span>
+                  ))}
+                </div>
+                <h3>Interrupt mask and requests</h3>
+                <div className="label-table watch-table">
+                  <table>
+                    <thead>
+                      <tr>
+                        <th>Bit</th>
+                        <th>Interrupt</th>
+                        <th>mask</th>
+                        <th>req</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {decodeInterruptBits(currentState.mask, currentState.req).map((row) => (
+                        <tr key={row.bit} className={row.pending ? 'highlight' : ''}>
+                          <td>{row.bit}</td>
+                          <td>{row.name}</td>
+                          <td>{row.masked ? 'allowed' : '-'}</td>
+                          <td>{row.requested ? 'requested' : '-'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </section>
+            )}
+
             {mode === 'advanced' && currentState && (
               <section className="data-flow-placeholder">
                 <div className="section-title">
@@ -1149,18 +2786,94 @@ export function Sigma16Visualizer() {
                     Visualizes how values move between registers, memory, and the stack for the
                     current instruction. The ALU (Arithmetic Logic Unit) is the part of the CPU
                     that performs operations like add, subtract, compare, and bitwise logic; the
-                    flow lines show how values enter the ALU and where the results go.
+                    flow lines show how values enter the ALU and where the results go. Below them
+                    are the memory accesses the step made, in order: instruction fetches, data
+                    reads (blue) and writes (green), with the words read or written.
                   </p>
                 )}
                 {dataFlowLines.length > 0 ? (
                   <ul className="data-flow-list">
                     {dataFlowLines.map((line, idx) => (
-                      <li key={`${line}-${idx}`}>{line}</li>
+                      <li key={`${line}-${idx}`} className={flowKind(line)}>{line}</li>
                     ))}
                   </ul>
                 ) : (
                   <p className="empty-state">Step to see data flow arrows.</p>
                 )}
+                {currentDelta && (
+                  <ul className="memory-access-list">
+                    {(currentDelta.instrFetches || []).map(({ address, value }, idx) => (
+                      <li key={`fetch-${idx}`} className="fetch">
+                        fetch mem[{wordToHex(address)}] = {wordToHex(value)}
+                      </li>
+                    ))}
+                    {(currentDelta.dataReads || []).map(({ address, value }, idx) => (
+                      <li key={`read-${idx}`} className="read">
+                        read mem[{wordToHex(address)}] = {wordToHex(value)}
+                      </li>
+                    ))}
+                    {Object.entries(currentDelta.changedMemory).map(([address, value]) => (
+                      <li key={`write-${address}`} className="write">
+                        write mem[{wordToHex(Number(address))}] := {wordToHex(value)}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </section>
+            )}
+
+            {currentState && (
+              <section className="call-stack-section">
+                <div className="section-title">
+                  <h2>Call Stack</h2>
+                  <button
+                    type="button"
+                    className={`help-button ${openHelp.callStack ? 'active' : ''}`}
+                    onClick={() => toggleHelp('callStack')}
+                    aria-label="Explain the call stack"
+                    title="Explain the call stack"
+                  >
+                    ?
+                  </button>
+                </div>
+                {openHelp.callStack && (
+                  <p className="pane-help">
+                    The subroutines that have been called and not yet returned, innermost first.
+                    A call is a jal, such as jal R13,f[R0], which puts the return address in R13
+                    and jumps to f; the subroutine returns with jump 0[R13]. Each entry shows the
+                    subroutine, the line it was called from, where it will return to and the step
+                    it was entered at. Click an entry to go to the step of that call.
+                  </p>
+                )}
+                {callFrames.length === 0 ? (
+                  <p className="empty-state">Not inside a subroutine.</p>
+                ) : (
+                  <ul className="provenance-list call-stack-list">
+                    {callFrames.map((frame, position) => (
+                      <li key={`${frame.step}-${frame.callAddr}-${position}`} className={position === 0 ? 'current' : ''}>
+                        <button
+                          type="button"
+                          onClick={() => frame.step !== null && goToStep(frame.step)}
+                          disabled={frame.step === null}
+                          title={frame.step === null ? 'Called before this branch started' : `Go to step ${frame.step}`}
+                        >
+                          <span className="provenance-step">
+                            {frame.step === null ? 'Before branch' : `Step ${frame.step}`}
+                          </span>
+                          <span className="provenance-instr">
+                            {frame.name}
+                            {frame.line !== null && (
+                              <span className="provenance-line">
+                                {' '}(called from line {frame.line + 1}: {listingLines[frame.line]?.trim()})
+                              </span>
+                            )}
+                          </span>
+                          <span className="provenance-value">return to {wordToHex(frame.returnAddr)}</span>
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
               </section>
             )}
 
@@ -1195,20 +2908,61 @@ export function Sigma16Visualizer() {
                 </div>
                 {openHelp.stack && (
                   <p className="pane-help">
-                    View of memory around the stack pointer (R14). The top marker shows the
-                    current SP, and the stack grows downward. Named data labels appear on stack
-                    addresses when they match a label, and code labels appear when a value looks
-                    like a code address.
+                    Activation records: the words each subroutine call has put on the stack,
+                    innermost call first and one colour per call. A word is on the stack when it
+                    is written through R14 by store, push or save. It is labelled as the return
+                    address, the caller's saved R14, a saved or pushed register, or a local; a
+                    word that a called subroutine reads from its caller's part of the stack is an
+                    argument from that step on. A stored register the subroutine has not changed
+                    yet, or later loads back, is saved. Words leave when pop or restore reads
+                    them back or when their subroutine returns. Below that is the raw memory from
+                    the stack pointer (R14) down, with the TOP marker on the word R14 points at,
+                    data labels on addresses that match one and code labels on values that look
+                    like code addresses.
                   </p>
                 )}
                 {showStack ? (
                   <>
-                    <p className="stack-note">Stack grows downward (toward lower addresses).</p>
+                    {stackRecords.length > 0 && (
+                      <div className="stack-frames">
+                        {stackRecords.map((record) => (
+                          <div
+                            key={record.frame ? `frame-${record.frame.id}` : 'main'}
+                            className={`stack-frame frame-color-${record.depth % 6}`}
+                          >
+                            <div className="stack-frame-header">
+                              <span className="stack-frame-name">{record.name}</span>
+                              {record.frame && (
+                                <span className="stack-frame-meta">
+                                  {record.frame.step === null ? 'called before this branch' : `called at step ${record.frame.step}`},
+                                  {' '}returns to {wordToHex(record.frame.returnAddr)}
+                                </span>
+                              )}
+                            </div>
+                            {record.words.length === 0 ? (
+                              <p className="stack-frame-empty">Nothing on the stack yet.</p>
+                            ) : (
+                              record.words.map((word) => (
+                                <div
+                                  key={word.address}
+                                  className={`stack-frame-word ${currentDelta?.changedMemory?.[word.address] !== undefined ? 'changed' : ''}`}
+                                >
+                                  <span className="stack-addr">{wordToHex(word.address)}</span>
+                                  <span className="stack-frame-role">{describeStackWord(word)}</span>
+                                  <span className="stack-value">{formatValue(currentState.mem[word.address], displayFormat)}</span>
+                                </div>
+                              ))
+                            )}
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                    <p className="stack-note">From R14 down to lower addresses (push moves R14 up).</p>
                     <div className="stack-list">
                       {stackEntries.map((entry) => (
                         <div
                           key={entry.address}
-                          className={`stack-row ${entry.isTop ? 'top' : ''} ${currentDelta?.changedMemory?.[entry.address] !== undefined ? 'changed' : ''}`}
+                          className={`stack-row ${entry.isTop ? 'top' : ''} ${currentDelta?.changedMemory?.[entry.address] !== undefined ? 'changed' : ''} ${entry.frameDepth !== null ? `frame-color-${entry.frameDepth % 6}` : ''}`}
                         >
                           <div className="stack-addr-group">
                             <span className="stack-addr">
@@ -1217,6 +2971,7 @@ export function Sigma16Visualizer() {
                             {entry.label && (
                               <span className="stack-addr-sub">{wordToHex(entry.address)}</span>
                             )}
+                            {entry.role && <span className="stack-addr-sub">{entry.role}</span>}
                           </div>
                           <div className="stack-value-group">
                             <span className="stack-value">{formatValue(entry.value, displayFormat)}</span>
@@ -1,238 +1,43 @@
-import { useState, useCallback, useMemo } from 'react'
+import { useState, useCallback, useMemo, useRef, useEffect } from 'react'
 import { assembler } from '@logic/assembler.mjs'
 import {
-  EmulatorState,
-  executeInstruction,
-  initializeMachineState,
-  procReset
-} from '@logic/emulator.mjs'
-import * as ab from '@logic/arrbuf.mjs'
-import * as com from '@logic/common.mjs'
-import * as arch from '@logic/architecture.mjs'
-
-const MEMORY_WORDS = 65536
-
-function allocateStateVector(es) {
-  es.vecbuf = new ArrayBuffer(ab.StateVecSizeBytes)
-  es.vec16 = new Uint16Array(es.vecbuf)
-  es.vec32 = new Uint32Array(es.vecbuf)
-  es.vec64 = new BigUint64Array(es.vecbuf)
-  es.shm = es.vec16
-}
-
-function createEmulatorState() {
-  const es = new EmulatorState(com.ES_gui_thread)
-  allocateStateVector(es)
-  initializeMachineState(es)
-  procReset(es)
-  return es
-}
-
-function parseHexWord(value) {
-  const cleaned = value.trim().replace(/^0x/i, '')
-  if (!cleaned) return null
-  const parsed = parseInt(cleaned, 16)
-  return Number.isNaN(parsed) ? null : parsed
-}
-
-function loadObjectCode(es, objectLines) {
-  let address = 0
-  let minAddress = null
-  let maxAddress = null
-
-  for (const rawLine of objectLines) {
-    const line = rawLine.trim()
-    if (!line) continue
-
-    const [op, rest = ''] = line.split(/\s+/, 2)
-    if (op === 'org') {
-      const nextAddr = parseHexWord(rest)
-      if (nextAddr !== null) {
-        address = nextAddr
-        if (minAddress === null || address < minAddress) {
-          minAddress = address
-        }
-        if (maxAddress === null || address > maxAddress) {
-          maxAddress = address
-        }
-      }
-      continue
-    }
-
-    if (op === 'data') {
-      const values = rest.split(',').map((value) => parseHexWord(value)).filter((val) => val !== null)
-      for (const value of values) {
-        ab.writeMem16(es, address, value)
-        if (minAddress === null || address < minAddress) {
-          minAddress = address
-        }
-        if (maxAddress === null || address > maxAddress) {
-          maxAddress = address
-        }
-        address += 1
-      }
-      continue
-    }
-
-    // Ignore module/import/export/relocate lines for single-module execution.
-  }
-
-  return {
-    startAddress: minAddress ?? 0,
-    minAddress,
-    maxAddress
-  }
-}
-
-function captureRegisters(es) {
-  const regValues = new Uint16Array(16)
-  for (let i = 0; i < 16; i += 1) {
-    regValues[i] = es.regfile[i].get()
-  }
-  return regValues
-}
-
-function captureMemory(es) {
-  const memValues = new Uint16Array(MEMORY_WORDS)
-  memValues.set(es.vec16.subarray(ab.MemOffset16, ab.MemOffset16 + MEMORY_WORDS))
-  return memValues
-}
-
-function captureFullState(es) {
-  const ccWord = es.regfile[15]?.get?.() ?? 0
-  const ccC = arch.extractBoolLE(ccWord, arch.bit_ccC)
-  const ccV = arch.extractBoolLE(ccWord, arch.bit_ccV)
-  const ccG = arch.extractBoolLE(ccWord, arch.bit_ccG)
-  const ccE = arch.extractBoolLE(ccWord, arch.bit_ccE)
-  const ccL = arch.extractBoolLE(ccWord, arch.bit_ccL)
-  const ccg = arch.extractBoolLE(ccWord, arch.bit_ccg)
-  const ccl = arch.extractBoolLE(ccWord, arch.bit_ccl)
-
-  return {
-    pc: es.pc.get(),
-    ir: es.ir.get(),
-    reg: captureRegisters(es),
-    mem: captureMemory(es),
-    ioLogBuffer: es.ioLogBuffer || '',
-    ccC,
-    ccV,
-    ccG,
-    ccE,
-    ccL,
-    ccg,
-    ccl,
-    statusreg: es.statusreg.get(),
-    mask: es.mask.get(),
-    req: es.req.get(),
-    vect: es.vect.get(),
-    halted: ab.readSCB(es, ab.SCB_status) === ab.SCB_halted,
-    instrCount: ab.readInstrCount(es)
-  }
-}
-
-function cloneState(state) {
-  return {
-    ...state,
-    reg: new Uint16Array(state.reg),
-    mem: new Uint16Array(state.mem)
-  }
-}
-
-function computeDelta(es) {
-  const changedRegisters = {}
-  const changedMemory = {}
-  const touchedRegisters = new Set()
-  const fetchedRegisters = new Set()
-  const storedRegisters = new Set()
-  const ccWord = es.regfile[15]?.get?.() ?? 0
-  const ccC = arch.extractBoolLE(ccWord, arch.bit_ccC)
-  const ccV = arch.extractBoolLE(ccWord, arch.bit_ccV)
-  const ccG = arch.extractBoolLE(ccWord, arch.bit_ccG)
-  const ccE = arch.extractBoolLE(ccWord, arch.bit_ccE)
-  const ccL = arch.extractBoolLE(ccWord, arch.bit_ccL)
-  const ccg = arch.extractBoolLE(ccWord, arch.bit_ccg)
-  const ccl = arch.extractBoolLE(ccWord, arch.bit_ccl)
-
-  for (const regIndex of es.copyable.regFetched) {
-    if (regIndex >= 0 && regIndex < 16) {
-      touchedRegisters.add(regIndex)
-      fetchedRegisters.add(regIndex)
-    }
-  }
-  for (const regIndex of es.copyable.regStored) {
-    if (regIndex >= 0 && regIndex < 16) {
-      touchedRegisters.add(regIndex)
-      storedRegisters.add(regIndex)
-      changedRegisters[regIndex] = es.regfile[regIndex].get()
-    }
-  }
-
-  for (const addr of es.copyable.memStoreLog) {
-    changedMemory[addr] = ab.readMem16(es, addr)
-  }
-
-  return {
-    pc: es.pc.get(),
-    ir: es.ir.get(),
-    curInstrAddr: ab.readSCB(es, ab.SCB_cur_instr_addr),
-    nextInstrAddr: ab.readSCB(es, ab.SCB_next_instr_addr),
-    ioLogBuffer: es.ioLogBuffer || '',
-    ccC,
-    ccV,
-    ccG,
-    ccE,
-    ccL,
-    ccg,
-    ccl,
-    controlRegs: {
-      statusreg: es.statusreg.get(),
-      mask: es.mask.get(),
-      req: es.req.get(),
-      vect: es.vect.get()
-    },
-    halted: ab.readSCB(es, ab.SCB_status) === ab.SCB_halted,
-    instrCount: ab.readInstrCount(es),
-    changedRegisters,
-    changedMemory,
-    touchedRegisters: Array.from(touchedRegisters),
-    fetchedRegisters: Array.from(fetchedRegisters),
-    storedRegisters: Array.from(storedRegisters)
-  }
-}
-
-function applyDelta(state, delta) {
-  const next = {
-    ...state,
-    pc: delta.pc,
-    ir: delta.ir,
-    ioLogBuffer: delta.ioLogBuffer ?? state.ioLogBuffer,
-    ccC: delta.ccC,
-    ccV: delta.ccV,
-    ccG: delta.ccG,
-    ccE: delta.ccE,
-    ccL: delta.ccL,
-    ccg: delta.ccg,
-    ccl: delta.ccl,
-    halted: delta.halted,
-    instrCount: delta.instrCount
-  }
-
-  next.reg = new Uint16Array(state.reg)
-  for (const [index, value] of Object.entries(delta.changedRegisters)) {
-    next.reg[Number(index)] = value
-  }
+  CHECKPOINT_INTERVAL,
+  appendCheckpointDelta,
+  createCheckpointTrack,
+  differingAddresses,
+  materializePages,
+  materializeState
+} from '../utils/checkpoints'
+import { describeLoop } from '../utils/loopDetection'
+import { appendProvenanceDelta, createProvenanceIndex } from '../utils/provenance'
+import { appendIoDelta, createIoLog, inheritedIoEvents, ioEventsAtStep } from '../utils/ioLog'
+import { remainingChunks } from '../utils/inputScenarios'
+import { appendTimerDelta, createTimerLog } from '../utils/timerEvents'
+import { appendCycleDelta, classCountsAt, createCycleLog } from '../utils/costModel'
+import { appendProfileDelta, createProfileLog } from '../utils/profiler'
+import { appendCallDelta, callStackAt, createCallLog, inheritedFrames } from '../utils/callStack'
+import {
+  appendStackDelta,
+  createStackLog,
+  inheritedRegisterWrites,
+  inheritedStackWords
+} from '../utils/stackFrames'
+import {
+  appendAnomalyDelta,
+  createAnomalyLog,
+  programLayout
+} from '../utils/anomalies'
+import { applyStateEdits } from '../utils/branching'
+import { createSearchCursor, findNextStep, findPreviousStep } from '../utils/timelineSearch'
 
-  next.mem = new Uint16Array(state.mem)
-  for (const [address, value] of Object.entries(delta.changedMemory)) {
-    next.mem[Number(address)] = value
-  }
+// Steps executed ahead of the furthest step the user has reached
+const LOOKAHEAD_STEPS = 500
 
-  next.statusreg = delta.controlRegs.statusreg
-  next.mask = delta.controlRegs.mask
-  next.req = delta.controlRegs.req
-  next.vect = delta.controlRegs.vect
+// Steps requested at a time while searching forward for a breakpoint
+const SEEK_CHUNK_STEPS = 5000
 
-  return next
+function createTimelineWorker() {
+  return new Worker(new URL('../logic/emwt.mjs', import.meta.url), { type: 'module' })
 }
 
 function detectRegistersUsed(sourceCode) {
@@ -277,17 +82,237 @@ function formatAssemblyErrors(asmResult) {
   return `Assembly failed with ${count} error(s).\n\n${lines.join('\n')}`
 }
 
+// Mutable bookkeeping for one run (the original or a branch). timeline
+// holds the fields published to React while the run is shown. settings
+// are the step budget (maxSteps), the input chunks, the scheduled
+// interrupts and, for a branch, the step of the original run it starts
+// at (stepOffset). A branch also inherits the console output (ioEvents),
+// the instruction class counts for the cycle model (cycles), the
+// subroutine calls not yet returned from (frames), the stack words alive
+// (stackWords) and the registers those calls had written
+// (registerWrites) at its fork.
+function createRun(runId, settings, lineMap, timelineFields, inherited = {}) {
+  const { maxSteps, input, interrupts = [], stepOffset = 0 } = settings
+  const { ioEvents = [], cycles = null, frames = [], stackWords = [], registerWrites = new Map() } = inherited
+  const deltas = []
+  const provenance = createProvenanceIndex()
+  const ioLog = createIoLog(ioEvents)
+  const timerLog = createTimerLog()
+  const anomalies = createAnomalyLog(timelineFields.layout)
+  const cycleLog = createCycleLog(cycles)
+  const profileLog = createProfileLog(lineMap)
+  const callLog = createCallLog(frames)
+  const stackLog = createStackLog(stackWords, registerWrites)
+  return {
+    runId,
+    deltas,
+    checkpoints: null,
+    basePages: null,
+    provenance,
+    ioLog,
+    timerLog,
+    anomalies,
+    cycleLog,
+    profileLog,
+    callLog,
+    stackLog,
+    requested: LOOKAHEAD_STEPS,
+    limit: maxSteps,
+    maxSteps,
+    input,
+    interrupts,
+    stepOffset,
+    halted: false,
+    waiting: false,
+    pending: null,
+    seek: null,
+    executing: true,
+    currentStep: 0,
+    lineMap,
+    timeline: {
+      initialState: null,
+      deltas,
+      checkpoints: null,
+      provenance,
+      ioLog,
+      timerLog,
+      anomalies,
+      cycleLog,
+      profileLog,
+      callLog,
+      stackLog,
+      totalSteps: 0,
+      completed: false,
+      stopped: false,
+      stepLimit: maxSteps,
+      budgetExhausted: false,
+      loop: null,
+      waitingForInput: false,
+      programInfo: null,
+      interrupts,
+      stepOffset,
+      ...timelineFields
+    }
+  }
+}
+
 export function useSigma16Timeline() {
   const [timeline, setTimeline] = useState(null)
   const [currentStep, setCurrentStep] = useState(0)
   const [isExecuting, setIsExecuting] = useState(false)
   const [error, setError] = useState(null)
 
+  // The original run and every what-if branch forked from it, by runId.
+  // runRef is the one being shown; the others keep their timeline and
+  // step so they can be switched back to.
+  const [branches, setBranches] = useState([])
+  // Results of the latest run against every input scenario
+  const [scenarioResults, setScenarioResults] = useState(null)
+  const scenarioBatchRef = useRef(0)
+  const workerRef = useRef(null)
+  const runRef = useRef({ runId: 0, deltas: null, checkpoints: null })
+  const runsRef = useRef(new Map())
+  const nextRunIdRef = useRef(1)
+
+  const publishTimeline = useCallback((run, fields) => {
+    run.timeline = { ...run.timeline, ...fields }
+    if (run === runRef.current) {
+      setTimeline(run.timeline)
+    }
+  }, [])
+
+  const setRunExecuting = useCallback((run, executing) => {
+    run.executing = executing
+    if (run === runRef.current) {
+      setIsExecuting(executing)
+    }
+  }, [])
+
+  // Ask the worker to execute up to the given step (within the budget)
+  const requestSteps = useCallback((target) => {
+    const run = runRef.current
+    if (!run.deltas || run.halted || run.waiting || target <= run.requested) return
+    run.requested = target
+    setRunExecuting(run, true)
+    workerRef.current?.postMessage({ code: 112, payload: { runId: run.runId, target } })
+  }, [setRunExecuting])
+
+  const handleWorkerMessage = useCallback((event) => {
+    const { code, payload } = event.data || {}
+    if (code === 213) { // one input scenario finished
+      if (payload.batchId !== scenarioBatchRef.current) return
+      setScenarioResults((prev) => {
+        const results = prev.results.slice()
+        results[payload.index] = payload.result
+        return { ...prev, results }
+      })
+      return
+    }
+    const run = payload && runsRef.current.get(payload.runId)
+    if (!run) return
+    const isActive = run === runRef.current
+
+    switch (code) {
+      case 210: { // program loaded
+        const checkpoints = createCheckpointTrack(payload.initialState, CHECKPOINT_INTERVAL, run.basePages)
+        run.checkpoints = checkpoints
+        run.basePages = null
+        publishTimeline(run, {
+          initialState: payload.initialState,
+          checkpoints,
+          programInfo: payload.programInfo
+        })
+        break
+      }
+      case 211: // chunk of deltas
+        for (const delta of payload.deltas) {
+          run.deltas.push(delta)
+          appendCheckpointDelta(run.checkpoints, delta)
+          appendProvenanceDelta(run.provenance, delta)
+          appendIoDelta(run.ioLog, delta)
+          appendTimerDelta(run.timerLog, delta)
+          appendAnomalyDelta(run.anomalies, delta)
+          appendCycleDelta(run.cycleLog, delta)
+          appendProfileDelta(run.profileLog, delta)
+          appendCallDelta(run.callLog, delta)
+          appendStackDelta(run.stackLog, delta, run.callLog)
+        }
+        publishTimeline(run, { totalSteps: run.deltas.length })
+        if (!isActive) break
+        if (typeof run.pending === 'number' && run.pending <= run.deltas.length) {
+          setCurrentStep(run.pending)
+          run.pending = null
+        }
+        if (run.seek) {
+          const hit = findNextStep(run.seek.cursor, run.deltas, run.deltas.length, run.seek.test)
+          if (hit !== null) {
+            setCurrentStep(hit)
+            run.seek = null
+          }
+        }
+        break
+      case 212: // request settled
+        run.halted = payload.halted
+        run.waiting = payload.waitingForInput
+        run.limit = payload.limit
+        run.requested = payload.steps
+        publishTimeline(run, {
+          totalSteps: run.deltas.length,
+          completed: payload.halted,
+          stopped: payload.stopped,
+          stepLimit: payload.limit,
+          budgetExhausted: !payload.halted && payload.steps >= payload.limit,
+          loop: payload.loop ? describeLoop(run.deltas, payload.loop, run.lineMap) : null,
+          waitingForInput: payload.waitingForInput
+        })
+        setRunExecuting(run, false)
+        if (!isActive) break
+        if (run.pending === 'end') {
+          setCurrentStep(run.deltas.length)
+        } else if (typeof run.pending === 'number') {
+          setCurrentStep(Math.min(run.pending, run.deltas.length))
+        }
+        run.pending = null
+        if (run.seek) {
+          // Nothing hit yet: keep going until the program halts, waits or the budget runs out
+          if (!payload.halted && !payload.waitingForInput && payload.steps < payload.limit) {
+            requestSteps(run.deltas.length + SEEK_CHUNK_STEPS)
+          } else {
+            setCurrentStep(run.deltas.length)
+            run.seek = null
+          }
+        }
+        break
+      default:
+        break
+    }
+  }, [publishTimeline, setRunExecuting, requestSteps])
+
+  const getWorker = useCallback(() => {
+    if (!workerRef.current) {
+      const worker = createTimelineWorker()
+      worker.addEventListener('message', handleWorkerMessage)
+      worker.addEventListener('error', (event) => {
+        setError(event.message || 'Emulator worker failed.')
+        setIsExecuting(false)
+      })
+      workerRef.current = worker
+    }
+    return workerRef.current
+  }, [handleWorkerMessage])
+
+  useEffect(() => () => {
+    workerRef.current?.terminate()
+    workerRef.current = null
+  }, [])
+
+  // input is a string, or an array of chunks that reads take one at a time;
+  // interrupts are schedules as made by createSchedule
   const executeProgram = useCallback((sourceCode, options = {}) => {
-    const { maxSteps = 50000 } = options
+    const { maxSteps = 50000, interrupts = [], randomize = false } = options
+    const input = (Array.isArray(options.input) ? options.input : [options.input]).filter(Boolean)
 
     try {
-      setIsExecuting(true)
       setError(null)
 
       const asmResult = assembler('program', sourceCode)
@@ -295,54 +320,192 @@ export function useSigma16Timeline() {
         throw new Error(formatAssemblyErrors(asmResult))
       }
 
-      const es = createEmulatorState()
-      const programInfo = loadObjectCode(es, asmResult.objectCode || [])
-
-      es.pc.put(programInfo.startAddress)
-      ab.writeSCB(es, ab.SCB_cur_instr_addr, programInfo.startAddress)
-      ab.writeSCB(es, ab.SCB_next_instr_addr, programInfo.startAddress)
-
-      const initialState = captureFullState(es)
-
-      const deltas = []
-      let steps = 0
-
-      while (ab.readSCB(es, ab.SCB_status) !== ab.SCB_halted && steps < maxSteps) {
-        executeInstruction(es)
-        deltas.push(computeDelta(es))
-        steps += 1
-      }
-
-      setTimeline({
-        initialState,
-        deltas,
+      const runId = nextRunIdRef.current++
+      const lineMap = asmResult.metadata?.mapArr || []
+      const run = createRun(runId, { maxSteps, input, interrupts }, lineMap, {
         assembly: asmResult,
+        layout: programLayout(asmResult),
         sourceCode,
-        totalSteps: deltas.length,
-        completed: ab.readSCB(es, ab.SCB_status) === ab.SCB_halted,
-        lineMap: asmResult.metadata?.mapArr || [],
+        lineMap,
         programRegisters: detectRegistersUsed(sourceCode),
-        programInfo
+        branch: { runId, parentRunId: null, forkStep: 0, edits: [] }
       })
+      runsRef.current = new Map([[runId, run]])
+      runRef.current = run
+      setBranches([run.timeline.branch])
+
+      setTimeline(run.timeline)
       setCurrentStep(0)
+      setIsExecuting(true)
+
+      getWorker().postMessage({
+        code: 110,
+        payload: {
+          runId,
+          objectCode: asmResult.objectCode || [],
+          maxSteps,
+          input,
+          interrupts,
+          randomize,
+          target: LOOKAHEAD_STEPS
+        }
+      })
     } catch (err) {
       setError(err.message || String(err))
       setTimeline(null)
-    } finally {
       setIsExecuting(false)
     }
+  }, [getWorker])
+
+  // Run the program once per input scenario, without recording timelines,
+  // and collect what each one wrote
+  const runScenarios = useCallback((sourceCode, scenarios, maxSteps = 50000) => {
+    try {
+      setError(null)
+      const asmResult = assembler('program', sourceCode)
+      if (asmResult.nAsmErrors && asmResult.nAsmErrors > 0) {
+        throw new Error(formatAssemblyErrors(asmResult))
+      }
+      const batchId = ++scenarioBatchRef.current
+      setScenarioResults({ batchId, names: scenarios.map((scenario) => scenario.name), results: [] })
+      getWorker().postMessage({
+        code: 116,
+        payload: {
+          batchId,
+          objectCode: asmResult.objectCode || [],
+          maxSteps,
+          scenarios: scenarios.map(({ name, chunks }) => ({ name, chunks }))
+        }
+      })
+    } catch (err) {
+      setError(err.message || String(err))
+      setScenarioResults(null)
+    }
+  }, [getWorker])
+
+  const stopExecution = useCallback(() => {
+    runRef.current.pending = null
+    runRef.current.seek = null
+    workerRef.current?.postMessage({ code: 111, payload: { runId: runRef.current.runId } })
   }, [])
 
+  const continueExecution = useCallback((steps) => {
+    const run = runRef.current
+    if (!run.deltas || run.halted || !(steps > 0)) return
+    run.requested = Math.max(run.requested, run.deltas.length + steps)
+    setRunExecuting(run, true)
+    workerRef.current?.postMessage({ code: 113, payload: { runId: run.runId, steps } })
+  }, [setRunExecuting])
+
+  // Answer a blocking read; the run resumes and moves to the read step
+  const provideInput = useCallback((text) => {
+    const run = runRef.current
+    if (!run.deltas || !run.waiting) return
+    run.input.push(text)
+    run.waiting = false
+    run.pending = run.deltas.length + 1
+    run.requested = Math.max(run.requested, run.deltas.length + LOOKAHEAD_STEPS)
+    publishTimeline(run, { waitingForInput: false })
+    setRunExecuting(run, true)
+    workerRef.current?.postMessage({
+      code: 115,
+      payload: { runId: run.runId, text, target: run.requested }
+    })
+  }, [publishTimeline, setRunExecuting])
+
+  // Fork a new run from the current step with some registers, flags or
+  // memory words changed, and switch to it. The current run is kept.
+  const createBranch = useCallback((edits) => {
+    const parent = runRef.current
+    if (!parent.checkpoints || currentStep > parent.deltas.length) return
+    const state = applyStateEdits(materializeState(parent.checkpoints, parent.deltas, currentStep), edits)
+    const input = currentStep === 0
+      ? parent.input.slice()
+      : remainingChunks(parent.input, parent.deltas[currentStep - 1].inputRemaining ?? 0)
+
+    const runId = nextRunIdRef.current++
+    const { assembly, layout, sourceCode, lineMap, programRegisters } = parent.timeline
+    const stepOffset = parent.stepOffset + currentStep
+    const { interrupts } = parent
+    const openFrames = callStackAt(parent.callLog, currentStep)
+    const run = createRun(runId, { maxSteps: parent.maxSteps, input, interrupts, stepOffset }, lineMap, {
+      assembly,
+      layout,
+      sourceCode,
+      lineMap,
+      programRegisters,
+      branch: { runId, parentRunId: parent.runId, forkStep: currentStep, edits }
+    }, {
+      ioEvents: inheritedIoEvents(parent.ioLog, currentStep),
+      cycles: classCountsAt(parent.cycleLog, currentStep),
+      frames: inheritedFrames(parent.callLog, currentStep),
+      stackWords: inheritedStackWords(parent.stackLog, openFrames, currentStep),
+      registerWrites: inheritedRegisterWrites(parent.stackLog, openFrames, currentStep)
+    })
+    // The branch's checkpoints share the parent's memory pages it did not edit
+    run.basePages = materializePages(parent.checkpoints, parent.deltas, currentStep).pages
+    stopExecution()
+    parent.currentStep = currentStep
+    runsRef.current.set(runId, run)
+    runRef.current = run
+    setBranches((prev) => [...prev, run.timeline.branch])
+    setTimeline(run.timeline)
+    setCurrentStep(0)
+    setIsExecuting(true)
+
+    workerRef.current?.postMessage({
+      code: 114,
+      payload: {
+        runId,
+        state,
+        programInfo: parent.timeline.programInfo,
+        maxSteps: parent.maxSteps,
+        input,
+        interrupts,
+        stepOffset,
+        parentRunId: parent.runId,
+        forkStep: currentStep,
+        edited: edits.map(({ target }) => target),
+        target: LOOKAHEAD_STEPS
+      }
+    })
+  }, [currentStep, stopExecution])
+
+  // Show another run; each run remembers the step it was left at
+  const switchBranch = useCallback((runId) => {
+    const run = runsRef.current.get(runId)
+    if (!run || run === runRef.current) return
+    stopExecution()
+    runRef.current.currentStep = currentStep
+    runRef.current = run
+    setTimeline(run.timeline)
+    setCurrentStep(run.currentStep)
+    setIsExecuting(run.executing)
+  }, [currentStep, stopExecution])
+
+  // The parent run at the matching point, for comparing against a branch.
+  // state holds the parent's memory as pages; only the pages that are not
+  // shared with the branch are compared word by word.
+  const parentComparison = useMemo(() => {
+    const parentRunId = timeline?.branch?.parentRunId
+    if (parentRunId === null || parentRunId === undefined) return null
+    const parent = runsRef.current.get(parentRunId)
+    const step = timeline.branch.forkStep + currentStep
+    if (!parent?.checkpoints || !timeline.checkpoints || step > parent.deltas.length ||
+        currentStep > timeline.totalSteps) {
+      return { runId: parentRunId, step, state: null, memoryDifferences: [] }
+    }
+    const state = materializePages(parent.checkpoints, parent.deltas, step)
+    const branchPages = materializePages(timeline.checkpoints, timeline.deltas, currentStep).pages
+    return { runId: parentRunId, step, state, memoryDifferences: differingAddresses(branchPages, state.pages) }
+  }, [timeline, currentStep])
+
   const getStateAtStep = useCallback((step) => {
-    if (!timeline || step < 0 || step > timeline.totalSteps) {
+    if (!timeline?.checkpoints || step < 0 || step > timeline.totalSteps) {
       return null
     }
 
-    let state = cloneState(timeline.initialState)
-    for (let i = 0; i < step; i += 1) {
-      state = applyDelta(state, timeline.deltas[i])
-    }
-    return state
+    return materializeState(timeline.checkpoints, timeline.deltas, step)
   }, [timeline])
 
   const currentState = useMemo(() => getStateAtStep(currentStep), [getStateAtStep, currentStep])
@@ -358,8 +521,14 @@ export function useSigma16Timeline() {
     return timeline.deltas[currentStep - 1]
   }, [timeline, currentStep])
 
+  // Console reads and writes up to the current step
+  const ioEvents = useMemo(() => {
+    if (!timeline?.ioLog) return []
+    return ioEventsAtStep(timeline.ioLog, currentStep)
+  }, [timeline, currentStep])
+
   const currentLineIndex = useMemo(() => {
-    if (!timeline) return null
+    if (!timeline?.initialState) return null
     const lineMap = timeline.lineMap || []
     if (currentStep === 0) {
       return lineMap[timeline.initialState.pc] ?? null
@@ -381,39 +550,98 @@ export function useSigma16Timeline() {
   }, [timeline, currentStep])
 
   const goToStep = useCallback((step) => {
-    if (timeline && step >= 0 && step <= timeline.totalSteps) {
+    const run = runRef.current
+    if (!run.deltas || step < 0) return
+    const available = run.deltas.length
+    const canExtend = !run.halted && !run.waiting && available < run.limit
+
+    run.seek = null
+    if (step <= available) {
       setCurrentStep(step)
+      run.pending = null
+    } else if (canExtend) {
+      run.pending = step
     }
-  }, [timeline])
+    if (canExtend && step + LOOKAHEAD_STEPS / 2 > available) {
+      requestSteps(step + LOOKAHEAD_STEPS)
+    }
+  }, [requestSteps])
 
   const nextStep = useCallback(() => {
-    if (timeline && currentStep < timeline.totalSteps) {
-      setCurrentStep((prev) => prev + 1)
-    }
-  }, [timeline, currentStep])
+    goToStep(currentStep + 1)
+  }, [goToStep, currentStep])
 
   const prevStep = useCallback(() => {
     if (currentStep > 0) {
-      setCurrentStep((prev) => prev - 1)
+      goToStep(currentStep - 1)
     }
-  }, [currentStep])
+  }, [goToStep, currentStep])
 
   const reset = useCallback(() => {
-    setCurrentStep(0)
-  }, [])
+    goToStep(0)
+  }, [goToStep])
 
+  // Run until the program halts or the step budget is used up
   const goToEnd = useCallback(() => {
-    if (timeline) {
-      setCurrentStep(timeline.totalSteps)
+    const run = runRef.current
+    if (!run.deltas) return
+    run.seek = null
+    if (run.halted || run.waiting || run.deltas.length >= run.limit) {
+      setCurrentStep(run.deltas.length)
+      return
     }
-  }, [timeline])
+    run.pending = 'end'
+    requestSteps(run.limit)
+  }, [requestSteps])
+
+  // Move to the next step passing the test, running more steps if needed
+  const seekForward = useCallback((test) => {
+    const run = runRef.current
+    if (!run.deltas || !run.checkpoints) return
+    run.pending = null
+    run.seek = null
+    const available = run.deltas.length
+    const cursor = createSearchCursor(run.checkpoints, run.deltas, currentStep)
+    const hit = findNextStep(cursor, run.deltas, available, test)
+    if (hit !== null) {
+      setCurrentStep(hit)
+    } else if (run.halted || run.waiting || available >= run.limit) {
+      setCurrentStep(available)
+    } else {
+      run.seek = { test, cursor }
+      if (run.requested > available) {
+        setIsExecuting(true) // a request is already running; its chunks will be searched
+      } else {
+        requestSteps(available + SEEK_CHUNK_STEPS)
+      }
+    }
+  }, [currentStep, requestSteps])
+
+  // Move to the previous step passing the test, or to step 0 if there is none
+  const seekBackward = useCallback((test) => {
+    const run = runRef.current
+    if (!run.deltas || !run.checkpoints) return
+    run.pending = null
+    run.seek = null
+    setCurrentStep(findPreviousStep(run.checkpoints, run.deltas, currentStep - 1, test) ?? 0)
+  }, [currentStep])
 
   const clearTimeline = useCallback(() => {
+    for (const run of runsRef.current.values()) {
+      workerRef.current?.postMessage({ code: 111, payload: { runId: run.runId } })
+    }
+    runsRef.current = new Map()
+    runRef.current = { runId: 0, deltas: null, checkpoints: null }
+    setBranches([])
+    setIsExecuting(false)
     setTimeline(null)
     setCurrentStep(0)
     setError(null)
   }, [])
 
+  const canExtend = Boolean(timeline) && !timeline.completed && !timeline.waitingForInput &&
+    timeline.totalSteps < timeline.stepLimit
+
   return {
     timeline,
     currentStep,
@@ -421,21 +649,34 @@ export function useSigma16Timeline() {
     previousState,
     currentDelta,
     currentLineIndex,
+    ioEvents,
     runtimeRegisterUsage,
     totalSteps: timeline?.totalSteps || 0,
     isExecuting,
     error,
     executeProgram,
+    stopExecution,
+    continueExecution,
+    provideInput,
+    runScenarios,
+    scenarioResults,
     goToStep,
     nextStep,
     prevStep,
     reset,
     goToEnd,
+    seekForward,
+    seekBackward,
     clearTimeline,
-    canStepForward: timeline && currentStep < timeline.totalSteps,
+    branches,
+    activeRunId: timeline?.branch?.runId ?? null,
+    createBranch,
+    switchBranch,
+    parentComparison,
+    canStepForward: Boolean(timeline) && (currentStep < timeline.totalSteps || canExtend),
     canStepBackward: currentStep > 0,
-    hasTimeline: timeline !== null,
+    hasTimeline: timeline !== null && timeline.initialState !== null,
     isAtStart: currentStep === 0,
-    isAtEnd: timeline && currentStep === timeline.totalSteps
+    isAtEnd: Boolean(timeline) && currentStep === timeline.totalSteps && !canExtend
   }
 }
@@ -384,6 +384,8 @@ export const intEnableBit    = 1;
   // 0 = disabled, 1 = enabled
 export const TimerRunningBit = 2;
   // 0 = off, 1 = running
+export const segEnableBit    = 3;
+  // 0 = segmentation disabled, 1 = segmentation enabled
 
 //-------------------------------------------------------------
 // Interrupt request and mask bits
@@ -400,6 +402,8 @@ export const userTrapBit         = 4;   // user trap
 export const overflowBit         = 5;   // overflow occurred
 export const binoverflowBi       = 6;   // overflow occurred
 export const zDivBit             = 7;   // division by 0
+export const privInstrBit        = 8;
+  // privileged instruction executed in user state
 
 //-------------------------------------------------------------
 // Assembly language data definitions for control bits
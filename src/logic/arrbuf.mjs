@@ -252,7 +252,7 @@ export function showSCBstatus (es) {
 // range of integer representations allowed by JavaScript, to
 // avoid overflow for long running programs.)
 
-function writeInstrCount (es, n)
+export function writeInstrCount (es, n)
   { write32 (es, 0, SCBoffset32, n) }
 export function readInstrCount (es)
   { return read32 (es, 0, SCBoffset32) }
@@ -24,6 +24,7 @@ import * as arch from './architecture.mjs';
 import * as arith from './arithmetic.mjs';
 import * as ab from './arrbuf.mjs';
 import * as st from './state.mjs';
+import * as iod from './iodevice.mjs';
 
 import * as asm from './assembler.mjs';
 import * as link from './linker.mjs';
@@ -125,6 +126,8 @@ export const initEsCopyable = {
     memFetchInstrLog : [],
     memFetchDataLog : [],
     memStoreLog : [],
+    memFetchInstrValues : [],  // word fetched at each memFetchInstrLog address
+    memFetchDataValues : [],   // word read at each memFetchDataLog address
     memFetchInstrLogOld : [],
     memFetchDataLogOld : [],
     memStoreLogOld : []
@@ -170,7 +173,14 @@ export class EmulatorState {
 	this.instrLooperShow  = false
 	this.breakEnabled     = false
 	this.doInterrupt      = 0
+        this.interruptTaken   = null // set if executeInstruction took an interrupt
+        this.timerFired       = false // set if its timer tick raised a request
+        this.fault            = null  // set if the instruction faulted
         this.ioLogBuffer      = ""
+        this.ioDevice         = thread_host === com.ES_gui_thread
+            ? new iod.BrowserConsoleDevice ()
+            : new iod.QueueInputDevice () // see iodevice.mjs
+        this.localTraps       = false // worker handles traps itself
         this.addressMask      = arith.word16mask
         this.pc               = null
         this.ir               = null
@@ -460,12 +470,65 @@ export function memClear (es) {
     }
 }
 
+//-------------------------------------------------------------------------
+// Segmentation and protection
+//-------------------------------------------------------------------------
+
+// When the processor is in user state and the segmentation bit of the
+// status register is set, every memory access is checked against a
+// segment: instruction fetches must lie in bpseg..epseg (the program
+// segment) and data fetches and stores in bdseg..edseg (the data
+// segment); both bounds are inclusive.  In system state, or with
+// segmentation off, any address can be used.  Similarly putctl is a
+// privileged instruction that may only be executed in system state.
+
+// A violation is a fault.  The instruction is abandoned at the access
+// that faulted (a store that faults is not performed), the pc is left
+// pointing at the instruction, and the interrupt request bit is set:
+// segFaultBit for a memory access and privInstrBit for a privileged
+// instruction.  If interrupts are enabled and the bit is set in mask,
+// the interrupt is taken before the next instruction, so rpc holds the
+// address of the faulting instruction.  Otherwise nothing can ever
+// handle the fault and the same instruction would fault again on every
+// step, so the machine halts instead and the fault is marked halted.
+// The details of the fault are kept in es.fault for the user interface.
+
+class MemoryFault {
+    constructor (fault) {
+        this.fault = fault
+    }
+}
+
+function segmentationActive (es) {
+    return GetStatusBit (es, arch.userStateBit) === 1
+        && GetStatusBit (es, arch.segEnableBit) === 1
+}
+
+function segmentCheck (es, kind, a) {
+    if (!segmentationActive (es)) return
+    const program = kind === "fetch"
+    const beg = (program ? es.bpseg : es.bdseg).get()
+    const end = (program ? es.epseg : es.edseg).get()
+    if (a >= beg && a <= end) return
+    raiseFault (es, {kind, address: a, segment: program ? "program" : "data",
+                     beg, end, bit: arch.segFaultBit})
+}
+
+function raiseFault (es, fault) {
+    com.mode.devlog (`fault ${fault.kind} a=${arith.wordToHex4(fault.address)}`)
+    arch.setBitInRegLE (es.req, fault.bit)
+    es.fault = {...fault, instrAddr: es.curInstrAddr}
+    throw new MemoryFault (es.fault)
+}
+
 // Fetch and return a word from memory at address a, and record the
 // address so the display can show this access.
 
 export function memFetchInstr (es, a) {
+    segmentCheck (es, "fetch", a)
     es.copyable.memFetchInstrLog.push(a);
     let x = ab.readMem16 (es, a)
+    es.copyable.memFetchInstrValues.push(x)
 //    let i = ab.EmMemOffset + a
 //    let x =  es.shm[i]
 //    let x = ab.sysStateVec [ab.EmMemOffset + a]
@@ -475,8 +538,10 @@ export function memFetchInstr (es, a) {
 }
 
 export function memFetchData (es, a) {
+    segmentCheck (es, "read", a)
     es.copyable.memFetchDataLog.push(a);
     let x = ab.readMem16 (es, a)
+    es.copyable.memFetchDataValues.push(x)
 //    let x = es.shm[ab.EmMemOffset + a]
     return x
 }
@@ -485,6 +550,7 @@ export function memFetchData (es, a) {
 // the display can show this access.
 
 export function memStore (es, a, x) {
+    segmentCheck (es, "write", a)
 //    console.log (`memStore a=${a} x=${x}`)
     es.copyable.memStoreLog.push(a)
     es.instrEffect.push(["M", a, x])
@@ -527,17 +593,15 @@ export function initializeMachineState (es) {
     // Interrupt control registers
     es.statusreg  = new genregister (es, 'statusreg', 'statusElt',
                                      arith.wordToHex4);
-    // bit 0 (lsb) :  0 = User state, 1 = System state
+    // bit 0 (lsb) :  0 = System state, 1 = User state
     // bit 1       :  0 = interrupts disabled, 1 = interrupts enabled
-    // bit 2       :  0 = segmentation disabled, 1 = segmentation enabled
+    // bit 2       :  0 = timer stopped, 1 = timer running
+    // bit 3       :  0 = segmentation disabled, 1 = segmentation enabled
 
     es.mask  = new genregister (es, 'mask', 'maskElt',  arith.wordToHex4);
     es.req   = new genregister (es, 'req',  'reqElt',   arith.wordToHex4);
-    // mask and request use the same bit positions for flags
-    // bit 0 (lsb)  overflow
-    // bit 1        divide by 0
-    // bit 2        trap 3
-    // bit 3        
+    // mask and request use the same bit positions for flags; see
+    // "Interrupt request and mask bits" in architecture.mjs
     
     es.rstat = new genregister (es, 'rstat', 'rstatElt',  arith.wordToHex4);
     es.rpc   = new genregister (es, 'rpc',   'rpcElt',    arith.wordToHex4);
@@ -624,6 +688,7 @@ export function instructionLooper (es) {
         case ab.SCB_halted:
         case ab.SCB_paused:
         case ab.SCB_break:
+        case ab.SCB_blocked:
         case ab.SCB_relinquish:
             finished = true
             break
@@ -715,6 +780,7 @@ export function timerTick (es) {
                 const reqOld = es.req.get()
                 const reqNew = arith.setBit (reqOld, arch.timerBit, 1)
                 es.req.put (reqNew)
+                es.timerFired = true
                 console.log ('Timer interrupt request')
                 // Set timer interrupt request
                 // Get interrupt request register, set timer bit
@@ -737,6 +803,8 @@ export function clearMemLogging (es) {
     es.copyable.memFetchDataLogOld = []
     es.copyable.memStoreLog = []
     es.copyable.memStoreLogOld = []
+    es.copyable.memFetchInstrValues = []
+    es.copyable.memFetchDataValues = []
 }
 
 export function clearRegLogging (es) {
@@ -772,6 +840,9 @@ export function executeInstruction (es) {
     clearMemLogging (es)
     clearInstrDecode (es)
     ab.writeSCB (es, ab.SCB_cur_instr_addr, es.pc.get())
+    es.interruptTaken = null
+    es.timerFired = false
+    es.fault = null
 // Check for interrupt
     let mr = es.mask.get() & es.req.get() // any request specified by mask
     com.mode.devlog (`interrupt mr = ${arith.wordToHex4(mr)}`)
@@ -792,12 +863,39 @@ export function executeInstruction (es) {
 		       & arch.maskToClearBitLE(arch.intEnableBit)
 		          & arch.maskToClearBitLE(arch.userStateBit))
         timerStop (es)
+        es.interruptTaken = i // no instruction executed this time
 	return
     }
 
     // No interrupt, so proceed with next instruction
     com.mode.devlog (`no interrupt, proceeding...`)
     es.curInstrAddr = es.pc.get();
+    try {
+        fetchAndExecute (es)
+    } catch (e) {
+        if (!(e instanceof MemoryFault)) throw e
+        // Abandon the instruction and leave the pc pointing at it
+        es.pc.put (es.curInstrAddr)
+        ab.writeSCB (es, ab.SCB_next_instr_addr, es.curInstrAddr)
+        if (!arch.getBitInRegLE (es.statusreg, arch.intEnableBit)
+            || !arch.getBitInRegLE (es.mask, es.fault.bit)) {
+            es.fault.halted = true
+            ab.writeSCB (es, ab.SCB_status, ab.SCB_halted)
+        }
+        return
+    }
+    // A blocked trap has not executed yet; it runs again after input
+    if (ab.readSCB (es, ab.SCB_status) === ab.SCB_blocked) return
+    ab.incrInstrCount (es);
+    timerTick (es);
+//    console.log (`Finished executeInstruction: ${showEsInfo(es)}`)
+//    com.mode.trace = false
+}
+
+// Fetch the instruction at curInstrAddr and execute it.  A fault
+// during the instruction throws MemoryFault out of here.
+
+function fetchAndExecute (es) {
     com.mode.devlog (`ExInstr pc=${arith.wordToHex4(es.curInstrAddr)}`)
     es.instrCode = memFetchInstr (es, es.curInstrAddr);
     com.mode.devlog (`ExInstr ir=${arith.wordToHex4(es.instrCode)}`)
@@ -836,10 +934,6 @@ export function executeInstruction (es) {
 
 //    console.log (`exInstr R1=${es.regfile[1].get()}`)
     dispatch_primary_opcode [es.ir_op] (es);
-    ab.incrInstrCount (es);
-    timerTick (es);
-//    console.log (`Finished executeInstruction: ${showEsInfo(es)}`)
-//    com.mode.trace = false
 }
 
 // RRR instruction pattern functions
@@ -1002,32 +1096,14 @@ const op_trap = (es) => {
     switch (es.thread_host) {
     case com.ES_gui_thread:
         com.mode.devlog (`handle trap in main thread`)
-        let code = es.regfile[es.ir_d].get();
-        //        com.mode.devlog (`trap code=${code}`);
-        console.log (`trap code=${code}`);
-        if (code >= 255) { // user trap handler
-            handleUserTrap (es, code)
-        }
-        else if (code===0) { // Halt
-	    console.log ("%cTrap: halt", 'color: red');
-	    com.mode.devlog ("Trap: halt");
-            ab.writeSCB (es, ab.SCB_status, ab.SCB_halted)
-        } else if (code==1) { // nonblocking read
-            console.log ('trap: nonblocking read')
-            trapRead(es);
-        } else if (code==2) { // nonblocking write
-            console.log ('trap: nonblocking write')
-            trapWrite(es);
-        } else if (code==3) { //blocking read
-            console.log ('trap: blocking read (not implemented)')
-        } else if (code==4) { // break
-            console.log ('trap: break')
-            ab.writeSCB (es, ab.SCB_status, ab.SCB_break)
-        } else { // Undefined trap is nop
-            com.mode.devlog (`trap with unbound code = ${code}`)
-        }
+        handleTrap (es)
         break
     case com.ES_worker_thread:
+        if (es.localTraps) { // worker has its own input, no relinquish
+            com.mode.devlog (`handle trap in worker thread`)
+            handleTrap (es)
+            break
+        }
         console.log (`**** handle trap in worker thread`)
         console.log (`emworker: relinquish control on a trap`)
         ab.writeSCB (es, ab.SCB_status, ab.SCB_relinquish)
@@ -1040,6 +1116,34 @@ const op_trap = (es) => {
     }
 }
 
+function handleTrap (es) {
+    let code = es.regfile[es.ir_d].get();
+    //        com.mode.devlog (`trap code=${code}`);
+    console.log (`trap code=${code}`);
+    if (code >= 255) { // user trap handler
+        handleUserTrap (es, code)
+    }
+    else if (code===0) { // Halt
+	console.log ("%cTrap: halt", 'color: red');
+	com.mode.devlog ("Trap: halt");
+        ab.writeSCB (es, ab.SCB_status, ab.SCB_halted)
+    } else if (code==1) { // nonblocking read
+        console.log ('trap: nonblocking read')
+        trapRead(es);
+    } else if (code==2) { // nonblocking write
+        console.log ('trap: nonblocking write')
+        trapWrite(es);
+    } else if (code==3) { //blocking read
+        console.log ('trap: blocking read')
+        trapBlockingRead (es)
+    } else if (code==4) { // break
+        console.log ('trap: break')
+        ab.writeSCB (es, ab.SCB_status, ab.SCB_break)
+    } else { // Undefined trap is nop
+        com.mode.devlog (`trap with unbound code = ${code}`)
+    }
+}
+
 // Similar but not identical to executeInstruction check for interrupt
 function handleUserTrap (es, code) {
     console.log (`handleUserTrap`)
@@ -1078,22 +1182,17 @@ function handleUserTrap (es, code) {
 // characters, stores them into memory starting from location a, and
 // removes those characters from IOinputBuffer.  Two registers are
 // updated: Ra := address just after last word stored, Rb := numbr of
-// characters (words) read.
+// characters (words) read.  The input comes from the I/O device
+// es.ioDevice, which is the IOinputBuffer text area in the gui and an
+// input queue elsewhere.
 
 function trapRead (es) {
-    let inputElt = document.getElementById("IOinputBuffer")
-    let xs = inputElt.value;
     let a = es.regfile[es.ir_a].get(); // buffer address
     let b = es.regfile[es.ir_b].get(); // buffer size
-    let n = xs.length; // number of chars available in buffer
-    let m = n <= b ? n : b; // number of chars actually input
-    let xs2 = xs.substring (m,n); // excess chars from input window are not used
-    let ys = xs.substring (0,m);  // input string to store into memory
+    let ys = es.ioDevice.read (b);  // input string to store into memory
+    let m = ys.length; // number of chars actually input
     let charcode = 0;
-    document.getElementById("IOinputBuffer").value = xs2;
     com.mode.devlog (`Read: a=${a} b=${b} m=${m} >>> /${ys}/`);
-    com.mode.devlog (`Read: n=${n} m=${m}`);
-    com.mode.devlog (`Read: xs2=/${xs2}/ ys=/${ys}/`);
     for (let i = 0; i<m; i++) {
 	charcode = ys.charCodeAt(i);
 	memStore (es, a, charcode);
@@ -1102,9 +1201,25 @@ function trapRead (es) {
     }
     es.regfile[es.ir_a].put(a); // just after last address stored
     es.regfile[es.ir_b].put(m); // number of chars actually input
+    es.ioDevice.echo (ys)
     es.ioLogBuffer += com.highlightField(ys,"READ"); // display input
     refreshIOlogBuffer (es)
-    inputElt.value = xs2; // leave unread characters in input buffer
+}
+
+// Blocking read: the same as a nonblocking read if any input is
+// available.  Otherwise the trap waits: the status becomes blocked and
+// the pc is put back on the trap so that it runs again, and reads the
+// input, once the host has supplied some and resumed execution.
+
+function trapBlockingRead (es) {
+    if (es.ioDevice.available () > 0) {
+        trapRead (es)
+    } else {
+        com.mode.devlog ('trap: blocking read waiting for input')
+        es.pc.put (ab.readSCB (es, ab.SCB_cur_instr_addr))
+        ab.writeSCB (es, ab.SCB_next_instr_addr, es.pc.get())
+        ab.writeSCB (es, ab.SCB_status, ab.SCB_blocked)
+    }
 }
 
 // Write b characters starting from address a
@@ -1117,20 +1232,16 @@ function trapWrite (es) {
 	a++
     }
     com.mode.devlog (`Write a=${a} b=${b} >>> /${xs}/`);
-    console.log (`Write a=${a} b=${b} >>> /${xs}/`);
+    es.ioDevice.write (xs)
     es.ioLogBuffer += xs;
     com.mode.devlog (es.ioLogBuffer);
     refreshIOlogBuffer (es)
 }
 
-// Should make more abstract; shouldn't refer to DOM
+// Pass the updated log to the I/O device to display
 export function refreshIOlogBuffer (es) {
-//    console.log (`refreshIOlogBugfer ${es.ioLogBuffer}`);
     com.mode.devlog (`refreshIOlogBugfer ${es.ioLogBuffer}`);
-
-    let elt = document.getElementById("IOlog");
-    elt.innerHTML = "<pre>" + es.ioLogBuffer + "</pre>";
-    elt.scrollTop = elt.scrollHeight;
+    es.ioDevice.showLog (es.ioLogBuffer)
 }
 
 
@@ -1652,6 +1763,10 @@ function exp2_getctl (es) {
 }
 function exp2_putctl (es) {
     com.mode.devlog ('putctl');
+    if (GetStatusBit (es, arch.userStateBit) === 1) { // privileged
+        raiseFault (es, {kind: "privileged", address: es.curInstrAddr,
+                         instruction: "putctl", bit: arch.privInstrBit})
+    }
     let cregn = es.field_f;
     let cregidx = cregn + ctlRegIndexOffset; // init in gui.js
     com.mode.devlog (`putctl src e==${es.field_e} val=${es.regfile[es.field_e].get()}`);
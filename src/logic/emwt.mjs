@@ -20,6 +20,10 @@ console.log ("loading emwt.mjs")
 import * as com from './common.mjs';
 import * as ab from './arrbuf.mjs';
 import * as em from "./emulator.mjs"
+import * as iod from "./iodevice.mjs"
+import * as tc from "../utils/timelineCapture.js"
+import * as ld from "../utils/loopDetection.js"
+import * as is from "../utils/interruptSchedule.js"
 
 //-------------------------------------------------------------------------
 // Emulator state
@@ -27,7 +31,9 @@ import * as em from "./emulator.mjs"
 
 let emwt = {
     shm: null, // shared system state vector
-    es: null // emulator state
+    es: null, // emulator state
+    timelines: new Map (), // visualiser timeline runs by runId, see startTimeline
+    scenarioBatch: null // latest batch of input scenario runs
     }
 
 //---------------------------------------------------------------------
@@ -95,6 +101,34 @@ self.addEventListener ("message", e => {
             msg = {code: 205, payload: rmtestResult}
             self.postMessage (msg)
             break
+        case 110: // timeline start
+            console.log (`emwt: received request timeline start`)
+            startTimeline (e.data.payload)
+            break
+        case 111: // timeline stop
+            console.log (`emwt: received request timeline stop`)
+            stopTimeline (e.data.payload)
+            break
+        case 112: // timeline extend to target step
+            console.log (`emwt: received request timeline extend`)
+            extendTimeline (e.data.payload)
+            break
+        case 113: // timeline continue past the step budget
+            console.log (`emwt: received request timeline continue`)
+            continueTimeline (e.data.payload)
+            break
+        case 114: // timeline fork from an edited state
+            console.log (`emwt: received request timeline fork`)
+            forkTimeline (e.data.payload)
+            break
+        case 115: // timeline input for a blocking read
+            console.log (`emwt: received request timeline input`)
+            inputTimeline (e.data.payload)
+            break
+        case 116: // run a program against each input scenario
+            console.log (`emwt: received request run scenarios`)
+            runScenarios (e.data.payload)
+            break
         default:
             console.log (`emwt: received unknown code ${e.data.code}`)
         }
@@ -164,4 +198,300 @@ function emwtLooper (es) {
     }
 }
 
+//-------------------------------------------------------------------------
+// Timeline generation for the visualiser
+//-------------------------------------------------------------------------
+
+// The visualiser runs a program in its own emulator state in this
+// thread and records a delta after every instruction.  Execution is
+// on demand: the run only advances as far as the main thread asks
+// (target), and never past the step budget (limit) until the user
+// raises it with a continue request.  Deltas are posted back in
+// chunks, one per slice of emInstrSliceSize instructions, and the
+// looper yields between slices so a stop or a new target can be
+// received while a long request is going.
+
+// Every step is also fed to a loop detector.  If the machine comes
+// back to exactly the same state it will go round forever, so the run
+// stops there and the budget is cut to the current step.  A continue
+// request carries on past the loop with detection turned off.
+
+// A run can also be forked from an edited copy of a step (a what-if
+// branch).  Branches are separate runs alongside the original, each
+// with its own emulator state, and are extended independently; a new
+// start request discards them all.
+
+// A blocking read (trap code 3) with no input available pauses the
+// run before the trap is recorded: the request settles with
+// waitingForInput set, and nothing more is executed until the main
+// thread sends the input.  The trap then runs again and reads it, and
+// its delta records the text supplied (suppliedInput), so the input
+// is part of the timeline.
+
+// A run may also have scheduled interrupts: request bits set in req
+// just before given steps (see interruptSchedule.js).  A step that
+// raised any records them in raisedInterrupts.  Step numbers count
+// from the start of the original run, so a branch carries the offset
+// of the step it was forked from (stepOffset).
+
+// With randomize set, the start request fills R1..R14 and all of
+// memory with random words before loading the program, so a program
+// that reads a register or a word it never set gets garbage instead of
+// the 0 left by reset.  R0 and the condition code R15 stay 0.
+
+// Each run also tracks which registers and words have been given a
+// value (see createDefinedness in timelineCapture.js), and a delta
+// lists what it read before that.  A branch starts from what its
+// parent run (parentRunId) had defined at the fork step (forkStep),
+// plus the locations edited for it (edited).
+
+// Messages posted back to the main thread:
+//   210 {runId, initialState, programInfo}          program loaded
+//   211 {runId, deltas}                              next chunk of deltas
+//   212 {runId, steps, limit, halted, stopped, loop, waitingForInput}
+//                                                    request settled
+
+function createTimelineEs (input) {
+    const es = tc.createEmulatorState (com.ES_worker_thread)
+    es.localTraps = true
+    es.ioDevice = new iod.RecordingDevice (input)
+    return es
+}
+
+function beginTimeline (runId, es, programInfo, maxSteps, target,
+                        interrupts, stepOffset) {
+    const initialState = tc.captureFullState (es)
+    const run = {runId, es, limit: maxSteps, target: target || 0,
+                 steps: 0, running: false, stopped: false,
+                 loopDetector: ld.createLoopDetector (initialState),
+                 loop: null, waiting: false, suppliedInput: null,
+                 interrupts: interrupts || [], stepOffset: stepOffset || 0}
+    emwt.es = es
+    emwt.timelines.set (runId, run)
+    self.postMessage ({code: 210, payload: {runId, initialState, programInfo}})
+    resumeTimeline (run)
+}
+
+function startTimeline (payload) {
+    const {runId, objectCode, maxSteps, input, target, interrupts,
+           randomize} = payload
+    const es = createTimelineEs (input)
+    if (randomize) tc.randomizeState (es)
+    const programInfo = tc.loadProgram (es, objectCode)
+    emwt.timelines.clear ()
+    beginTimeline (runId, es, programInfo, maxSteps, target, interrupts, 0)
+}
+
+// payload.state is a full state (as in 210) with the user's edits
+function forkTimeline (payload) {
+    const {runId, state, programInfo, maxSteps, input, target,
+           interrupts, stepOffset, parentRunId, forkStep, edited} = payload
+    const es = createTimelineEs (input)
+    tc.restoreFullState (es, state)
+    const parent = emwt.timelines.get (parentRunId)
+    es.definedness = parent
+        ? tc.definednessAtStep (parent.es.definedness, forkStep, edited)
+        : null
+    beginTimeline (runId, es, programInfo, maxSteps, target, interrupts,
+                   stepOffset)
+}
+
+function currentTimeline (payload) {
+    return emwt.timelines.get (payload.runId) || null
+}
+
+// Cancel the outstanding request; the run can still be extended later
+function stopTimeline (payload) {
+    const run = currentTimeline (payload)
+    if (run && run.running) {
+        run.stopped = true
+        run.target = run.steps
+    }
+}
+
+function extendTimeline (payload) {
+    const run = currentTimeline (payload)
+    if (run && payload.target > run.target) {
+        run.target = payload.target
+        resumeTimeline (run)
+    }
+}
+
+// Raise the step budget by n and run those steps now
+function continueTimeline (payload) {
+    const run = currentTimeline (payload)
+    if (run) {
+        if (run.loop) {
+            run.loop = null
+            run.loopDetector = null
+        }
+        run.limit = Math.max (run.limit, run.steps) + payload.steps
+        run.target = run.limit
+        resumeTimeline (run)
+    }
+}
+
+function inputTimeline (payload) {
+    const run = currentTimeline (payload)
+    if (run && run.waiting) {
+        run.es.ioDevice.supply (payload.text)
+        run.suppliedInput = (run.suppliedInput || "") + payload.text
+        run.waiting = false
+        run.target = Math.max (run.target, payload.target || 0)
+        ab.writeSCB (run.es, ab.SCB_status, ab.SCB_ready)
+        resumeTimeline (run)
+    }
+}
+
+function resumeTimeline (run) {
+    if (run.running) return // looper will see the new target
+    run.running = true
+    run.stopped = false
+    setTimeout (() => timelineLooper (run))
+}
+
+function timelineHalted (es) {
+    return ab.readSCB (es, ab.SCB_status) === ab.SCB_halted
+}
+
+function timelineLooper (run) {
+    if (emwt.timelines.get (run.runId) !== run) return // discarded by a newer program
+    const es = run.es
+    const deltas = []
+    const stopAt = Math.min (run.target, run.limit)
+    let halted = timelineHalted (es)
+    while (!halted && !run.waiting && run.steps < stopAt
+           && deltas.length < es.emInstrSliceSize) {
+        const raised = is.interruptsDue (run.interrupts,
+                                         run.stepOffset + run.steps + 1)
+        for (const bit of raised) {
+            es.req.put (es.req.get () | (1 << bit))
+        }
+        em.executeInstruction (es)
+        if (ab.readSCB (es, ab.SCB_status) === ab.SCB_blocked) {
+            run.waiting = true
+            break
+        }
+        const delta = tc.computeDelta (es)
+        if (raised.length > 0) {
+            delta.raisedInterrupts = raised
+        }
+        if (run.suppliedInput !== null) {
+            delta.suppliedInput = run.suppliedInput
+            run.suppliedInput = null
+        }
+        deltas.push (delta)
+        run.steps++
+        halted = timelineHalted (es)
+        if (run.loopDetector && !halted) {
+            const loop = ld.observeLoopStep (run.loopDetector, delta,
+                                             es.ioDevice.available ())
+            if (ab.readSCB (es, ab.SCB_timer_running)
+                || is.interruptsPending (run.interrupts,
+                                         run.stepOffset + run.steps)) {
+                // timer state and coming interrupts are not hashed, so
+                // repeats prove nothing
+                ld.resetLoopDetector (run.loopDetector)
+            } else if (loop) {
+                run.loop = loop
+                run.limit = run.steps
+                break
+            }
+        }
+    }
+    if (deltas.length > 0) {
+        self.postMessage ({code: 211, payload: {runId: run.runId, deltas}})
+    }
+    if (halted || run.waiting
+        || run.steps >= Math.min (run.target, run.limit)) {
+        run.running = false
+        self.postMessage ({code: 212,
+                           payload: {runId: run.runId, steps: run.steps,
+                                     limit: run.limit, halted,
+                                     stopped: run.stopped,
+                                     loop: run.loop,
+                                     waitingForInput: run.waiting}})
+    } else {
+        setTimeout (() => timelineLooper (run))
+    }
+}
+
+//-------------------------------------------------------------------------
+// Input scenarios
+//-------------------------------------------------------------------------
+
+// The visualiser can run a program against each of its named input
+// scenarios in one go.  These runs record no timeline: each scenario
+// gets a fresh emulator state with its chunks as input, runs until it
+// halts, waits for input it doesn't have, goes round a loop or uses up
+// the step budget, and what it wrote is posted back.  Like a timeline,
+// a scenario runs in slices of emInstrSliceSize instructions and the
+// looper yields between them, so timeline requests are still served
+// during a long scenario, and a newer batch abandons an older one at
+// the next slice.
+
+// Messages posted back to the main thread:
+//   213 {batchId, index, result}                     one scenario finished
+//       result = {name, output, steps, halted, waitingForInput, loop}
+
+function runScenarios (payload) {
+    emwt.scenarioBatch = payload.batchId
+    runScenario (payload, 0)
+}
+
+function runScenario (payload, index) {
+    const {batchId, objectCode, scenarios} = payload
+    if (emwt.scenarioBatch !== batchId || index >= scenarios.length) return
+    const es = createTimelineEs (scenarios[index].chunks)
+    tc.loadProgram (es, objectCode)
+    const scenario = {index, es, output: "", steps: 0, halted: false,
+                      waiting: false, loop: false,
+                      detector: ld.createLoopDetector (tc.captureFullState (es))}
+    scenarioLooper (payload, scenario)
+}
+
+function scenarioLooper (payload, scenario) {
+    const {batchId, maxSteps, scenarios} = payload
+    if (emwt.scenarioBatch !== batchId) return // abandoned for a newer batch
+    const es = scenario.es
+    let icount = 0
+    while (!scenario.halted && scenario.steps < maxSteps
+           && icount < es.emInstrSliceSize) {
+        em.executeInstruction (es)
+        icount++
+        if (ab.readSCB (es, ab.SCB_status) === ab.SCB_blocked) {
+            scenario.waiting = true
+            break
+        }
+        const delta = tc.computeDelta (es)
+        for (const event of delta.ioEvents) {
+            if (event.kind === "write") scenario.output += event.text
+        }
+        scenario.steps++
+        scenario.halted = timelineHalted (es)
+        if (!scenario.halted) {
+            const found = ld.observeLoopStep (scenario.detector, delta,
+                                              es.ioDevice.available ())
+            if (ab.readSCB (es, ab.SCB_timer_running)) {
+                ld.resetLoopDetector (scenario.detector)
+            } else if (found) {
+                scenario.loop = true
+                break
+            }
+        }
+    }
+    if (!scenario.halted && !scenario.waiting && !scenario.loop
+        && scenario.steps < maxSteps) {
+        setTimeout (() => scenarioLooper (payload, scenario))
+        return
+    }
+    const {index, output, steps, halted, waiting, loop} = scenario
+    self.postMessage ({code: 213,
+                       payload: {batchId, index,
+                                 result: {name: scenarios[index].name, output,
+                                          steps, halted,
+                                          waitingForInput: waiting, loop}}})
+    setTimeout (() => runScenario (payload, index + 1))
+}
+
 console.log ("finished loading emwt.mjs")
@@ -0,0 +1,213 @@
+import { afterEach, beforeAll, describe, expect, it, vi } from 'vitest'
+import { assembler } from './assembler.mjs'
+
+/**
+ * Tests for the timeline worker, run in this thread: self is replaced by
+ * a stand-in that delivers messages to the worker's listener and collects
+ * what it posts back.
+ */
+
+let listener = null
+let waiters = []
+
+function send(code, payload) {
+  listener({ data: { code, payload } })
+}
+
+// Resolve with the first message posted from now on that passes test
+function nextMessage(test) {
+  return new Promise((resolve) => {
+    waiters.push({ test, resolve })
+  })
+}
+
+function assemble(source) {
+  const asm = assembler('test', source)
+  expect(asm.nAsmErrors).toBe(0)
+  return asm.objectCode
+}
+
+beforeAll(async () => {
+  vi.spyOn(console, 'log').mockImplementation(() => {})
+  vi.stubGlobal('self', {
+    addEventListener: (type, handler) => { listener = handler },
+    postMessage: (message) => {
+      const waiting = waiters.filter(({ test }) => test(message))
+      waiters = waiters.filter((waiter) => !waiting.includes(waiter))
+      waiting.forEach(({ resolve }) => resolve(message))
+    }
+  })
+  await import('./emwt.mjs')
+})
+
+afterEach(() => {
+  waiters = []
+})
+
+describe('timeline input', () => {
+  // Read up to 4 characters into buf, then write back as many as were read
+  const echo = ` lea R1,3[R0]
+ lea R2,buf[R0]
+ lea R3,4[R0]
+ trap R1,R2,R3
+ lea R1,2[R0]
+ lea R2,buf[R0]
+ trap R1,R2,R3
+ trap R0,R0,R0
+buf data 0
+ data 0
+ data 0
+ data 0
+`
+
+  it('blocks on a read without input and reads what is provided', async () => {
+    const deltas = []
+    const collect = (message) => {
+      if (message.code === 211 && message.payload.runId === 1) deltas.push(...message.payload.deltas)
+      return false
+    }
+    waiters.push({ test: collect, resolve: () => {} })
+    const blocked = nextMessage((message) => message.code === 212)
+    // An empty chunk is no input at all
+    send(110, { runId: 1, objectCode: assemble(echo), maxSteps: 100, input: [''], target: 100 })
+    expect((await blocked).payload.waitingForInput).toBe(true)
+    expect(deltas).toHaveLength(3)
+
+    const settled = nextMessage((message) => message.code === 212)
+    send(115, { runId: 1, text: 'hi\n', target: 100 })
+    const { payload } = await settled
+    expect(payload.halted).toBe(true)
+
+    const read = deltas[3]
+    expect(read.suppliedInput).toBe('hi\n')
+    expect(read.ioEvents).toEqual([{ kind: 'read', text: 'hi\n' }])
+    expect(read.changedRegisters[3]).toBe(3)
+    expect(deltas[6].ioEvents).toEqual([{ kind: 'write', text: 'hi\n' }])
+  })
+})
+
+describe('definedness', () => {
+  // Loads, a store and traps touching words and registers nothing set
+  const uninitialised = ` load R1,x[R0]
+ load R2,y[R0]
+ add R3,R4,R1
+ lea R5,3[R0]
+ lea R6,y[R0]
+ lea R7,1[R0]
+ trap R5,R6,R7
+ load R2,y[R0]
+ lea R5,2[R0]
+ trap R5,R6,R7
+ store R8,z[R0]
+ load R9,z[R0]
+ trap R0,R0,R0
+x data 5
+y reserve 1
+z reserve 1
+`
+
+  // Run to the end, resolving with the deltas and the 210 payload
+  async function run(code, payload) {
+    const deltas = []
+    let loaded = null
+    waiters.push({
+      test: (message) => {
+        if (message.payload?.runId !== payload.runId) return false
+        if (message.code === 210) loaded = message.payload
+        if (message.code === 211) deltas.push(...message.payload.deltas)
+        return false
+      },
+      resolve: () => {}
+    })
+    const settled = nextMessage((message) => message.code === 212 && message.payload.runId === payload.runId)
+    send(code, { maxSteps: 100, input: [], target: 100, ...payload })
+    await settled
+    return { deltas, loaded }
+  }
+
+  it('lists reads of registers and words before anything set them', async () => {
+    const objectCode = assemble(uninitialised)
+    const { deltas } = await run(110, { runId: 3, objectCode, input: ['a'] })
+    const undefinedReads = deltas.map((delta) => delta.undefinedReads)
+    // y (0017) is reserved, so undefined until the read trap fills it
+    expect(undefinedReads[1]).toEqual({ registers: [], memory: [23] })
+    expect(undefinedReads[2]).toEqual({ registers: [4], memory: [] })
+    expect(undefinedReads[7]).toBe(null)
+    // the write trap reads z (0018), as the read trap moved R6 past y
+    expect(undefinedReads[9]).toEqual({ registers: [], memory: [24] })
+    // storing R8 defines z but not R8
+    expect(undefinedReads[10]).toEqual({ registers: [8], memory: [] })
+    expect(undefinedReads[11]).toBe(null)
+    expect(undefinedReads.filter(Boolean)).toHaveLength(4)
+  })
+
+  it('starts a branch from its parent and counts edited locations as defined', async () => {
+    const { loaded } = await run(110, { runId: 4, objectCode: assemble(uninitialised), input: ['a'] })
+    const { deltas } = await run(114, {
+      runId: 5,
+      state: loaded.initialState,
+      programInfo: loaded.programInfo,
+      input: ['a'],
+      stepOffset: 0,
+      parentRunId: 4,
+      forkStep: 0,
+      edited: [{ kind: 'register', location: 4 }]
+    })
+    expect(deltas[2].undefinedReads).toBe(null)
+    expect(deltas[1].undefinedReads).toEqual({ registers: [], memory: [23] })
+  })
+})
+
+describe('faults', () => {
+  // putctl in user state with interrupts disabled
+  const privileged = ` lea R1,1[R0]
+ putctl R1,status
+ putctl R1,mask
+ trap R0,R0,R0
+`
+
+  it('halts on a fault that no interrupt can handle', async () => {
+    const deltas = []
+    waiters.push({
+      test: (message) => {
+        if (message.code === 211 && message.payload.runId === 2) deltas.push(...message.payload.deltas)
+        return false
+      },
+      resolve: () => {}
+    })
+    const settled = nextMessage((message) => message.code === 212 && message.payload.runId === 2)
+    send(110, { runId: 2, objectCode: assemble(privileged), maxSteps: 100, input: [], target: 100 })
+    const { payload } = await settled
+    expect(payload.halted).toBe(true)
+    expect(payload.loop).toBe(null)
+    expect(deltas).toHaveLength(3)
+    expect(deltas[2].fault).toMatchObject({ kind: 'privileged', halted: true })
+  })
+})
+
+describe('input scenarios', () => {
+  // Counts for ever; only the step budget stops it
+  const counter = ` lea R2,1[R0]
+loop add R1,R1,R2
+ jump loop[R0]
+`
+
+  it('abandons a long scenario when a newer batch starts', async () => {
+    const results = []
+    waiters.push({
+      test: (message) => {
+        if (message.code === 213) results.push(message.payload)
+        return false
+      },
+      resolve: () => {}
+    })
+    const objectCode = assemble(counter)
+    const scenarios = [{ name: 'long', chunks: [] }]
+    send(116, { batchId: 1, objectCode, maxSteps: 1000000, scenarios })
+    const finished = nextMessage((message) => message.code === 213 && message.payload.batchId === 2)
+    send(116, { batchId: 2, objectCode, maxSteps: 2000, scenarios })
+    const { payload } = await finished
+    expect(payload.result.steps).toBe(2000)
+    expect(results.map(({ batchId }) => batchId)).toEqual([2])
+  })
+})
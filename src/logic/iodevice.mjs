@@ -0,0 +1,150 @@
+// Sigma16: iodevice.mjs: input/output devices for the trap instructions
+
+// This file is part of Sigma16.  Sigma16 is free software:
+// you can redistribute it and/or modify it under the terms
+// of the GNU General Public License as published by the Free
+// Software Foundation, Version 3 of the License.  Sigma16 is
+// distributed in the hope that it will be useful, but
+// WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See
+// the GNU General Public License for more details.  You
+// should have received a copy of the GNU General Public
+// License along with Sigma16.  If not, see
+// <https://www.gnu.org/licenses/>.
+
+// The read and write traps don't touch the DOM themselves; they go
+// through the I/O device held in es.ioDevice.  A device is any object
+// with these methods:
+
+//   available ()     number of input characters ready to be read
+//   read (n)         remove and return up to n input characters
+//   write (xs)       the program has written the string xs
+//   echo (xs)        the program has read the string xs
+//   showLog (log)    the I/O log (html) has changed; display it
+
+// The emulator keeps the log itself (es.ioLogBuffer), so a device only
+// needs to display it if it has somewhere to show it.  The browser
+// console, the worker's input queue and test harnesses are all
+// implementations of this one interface.
+
+//-------------------------------------------------------------
+// Input queue
+//-------------------------------------------------------------
+
+// An input queue holds a script of input chunks, supplied when the
+// device is created and topped up later with supply.  Each read takes
+// up to n characters from the first chunk only, so a script such as
+// ["3\n", "hello\n"] gives one chunk to each read that asks for
+// enough characters; whatever a read leaves of a chunk is what the
+// next read gets.  The input may also be given as a single string,
+// which is one chunk.  Empty chunks are dropped, so whenever available
+// is above 0 a read gets at least one character.  Output is ignored;
+// this is the device used when there is no display, for example in the
+// worker thread.
+
+export class QueueInputDevice {
+    constructor (input) {
+        const chunks = Array.isArray (input) ? input : [input]
+        this.chunks = chunks.filter (xs => xs)
+    }
+    supply (xs) {
+        if (xs) this.chunks.push (xs)
+    }
+    available () {
+        return this.chunks.reduce ((n, xs) => n + xs.length, 0)
+    }
+    read (n) {
+        while (this.chunks.length > 0 && this.chunks[0] === "") {
+            this.chunks.shift ()
+        }
+        if (this.chunks.length === 0) return ""
+        let chunk = this.chunks[0]
+        let xs = chunk.substring (0, n)
+        if (xs.length === chunk.length) {
+            this.chunks.shift ()
+        } else {
+            this.chunks[0] = chunk.substring (xs.length)
+        }
+        return xs
+    }
+    write (xs) {
+    }
+    echo (xs) {
+    }
+    showLog (log) {
+    }
+}
+
+//-------------------------------------------------------------
+// Recording device
+//-------------------------------------------------------------
+
+// A recording device is an input queue that also remembers every read
+// and write in order, as {kind: "read" | "write", text}, so a test
+// harness can check a program's I/O without a display.  The timeline
+// worker uses one and takes the events after each instruction, so each
+// step records just the characters it read or wrote.
+
+export class RecordingDevice extends QueueInputDevice {
+    constructor (input) {
+        super (input)
+        this.events = []
+    }
+    write (xs) {
+        this.events.push ({kind: "write", text: xs})
+    }
+    echo (xs) {
+        this.events.push ({kind: "read", text: xs})
+    }
+    takeEvents () {
+        let events = this.events
+        this.events = []
+        return events
+    }
+    output () {
+        return this.events
+            .filter (e => e.kind === "write")
+            .map (e => e.text)
+            .join ("")
+    }
+}
+
+//-------------------------------------------------------------
+// Browser console
+//-------------------------------------------------------------
+
+// The browser console takes input from the IOinputBuffer text area and
+// shows the log in the IOlog element.  The elements are looked up on
+// each use, as the page may not have rendered them when the emulator
+// state is created.
+
+export class BrowserConsoleDevice {
+    constructor (inputId, logId) {
+        this.inputId = inputId || "IOinputBuffer"
+        this.logId = logId || "IOlog"
+    }
+    inputElement () {
+        return document.getElementById (this.inputId)
+    }
+    available () {
+        let elt = this.inputElement ()
+        return elt ? elt.value.length : 0
+    }
+    read (n) {
+        let elt = this.inputElement ()
+        if (!elt) return ""
+        let xs = elt.value.substring (0, n)
+        elt.value = elt.value.substring (xs.length) // leave unread chars
+        return xs
+    }
+    write (xs) {
+    }
+    echo (xs) {
+    }
+    showLog (log) {
+        let elt = document.getElementById (this.logId)
+        if (!elt) return
+        elt.innerHTML = "<pre>" + log + "</pre>"
+        elt.scrollTop = elt.scrollHeight
+    }
+}
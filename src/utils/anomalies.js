@@ -0,0 +1,144 @@
+import { wordToHex } from './formatters'
+import { lastWriteAtOrBefore } from './provenance'
+
+/**
+ * Runtime anomaly warnings: a store overwriting an instruction, a data
+ * word executed as an instruction, execution running past the last
+ * assembled word, and a register or memory word read before anything
+ * set it. The program layout comes from the assembler's statements;
+ * warnings are found as deltas arrive and each one links to the first
+ * step it happened at. The emulator worker tracks which locations are
+ * defined and lists the undefined reads in each delta (see
+ * createDefinedness in timelineCapture.js).
+ */
+
+/**
+ * Work out which addresses hold instructions and which hold data
+ * @param {Object} asmResult - Assembler result (asmStmt)
+ * @returns {Object} {code: Set, data: Set, reserved: Set, lastAddress}
+ *   (lastAddress null if empty)
+ */
+export function programLayout(asmResult) {
+  const code = new Set()
+  const data = new Set()
+  const reserved = new Set()
+  let lastAddress = null
+  for (const stmt of asmResult?.asmStmt || []) {
+    const address = stmt.address?.word ?? 0
+    const size = stmt.codeSize?.word ?? 0
+    const reserve = stmt.fieldOperation === 'reserve' ? stmt.reserveSize?.word ?? 0 : 0
+    const words = size > 0 ? size : reserve
+    if (words === 0) continue
+    const target = reserve > 0 ? reserved : stmt.fieldOperation === 'data' ? data : code
+    for (let i = 0; i < words; i += 1) {
+      target.add((address + i) & 0xffff)
+    }
+    if (size > 0) {
+      const end = address + size - 1
+      if (lastAddress === null || end > lastAddress) lastAddress = end
+    }
+  }
+  return { code, data, reserved, lastAddress }
+}
+
+/**
+ * Create an empty anomaly log
+ * @param {Object} layout - Program layout from programLayout
+ * @returns {Object} Anomaly log
+ */
+export function createAnomalyLog(layout) {
+  return {
+    layout,
+    steps: 0,
+    warnings: [],
+    seen: new Map()
+  }
+}
+
+function report(log, key, warning) {
+  const existing = log.seen.get(key)
+  if (existing) {
+    existing.steps.push(log.steps)
+    return
+  }
+  const entry = { ...warning, key, step: log.steps, steps: [log.steps] }
+  log.seen.set(key, entry)
+  log.warnings.push(entry)
+}
+
+/**
+ * Check the next delta for anomalies. Each kind of warning is reported
+ * once per address, at its first step, with the steps it happened again at.
+ * @param {Object} log - Anomaly log (mutated)
+ * @param {Object} delta - Next delta in the timeline
+ */
+export function appendAnomalyDelta(log, delta) {
+  log.steps += 1
+  const { code, data, reserved, lastAddress } = log.layout
+  const instrAddr = delta.curInstrAddr
+  const executed = !delta.interrupt && delta.fault?.kind !== 'fetch'
+
+  for (const index of delta.undefinedReads?.registers || []) {
+    report(log, `undefined-register:${index}`, { kind: 'undefined-register', register: index, instrAddr })
+  }
+  for (const address of delta.undefinedReads?.memory || []) {
+    report(log, `undefined-memory:${address}`, { kind: 'undefined-memory', address, instrAddr })
+  }
+
+  if (executed && (data.has(instrAddr) || reserved.has(instrAddr))) {
+    report(log, `data-executed:${instrAddr}`, { kind: 'data-executed', address: instrAddr, instrAddr })
+  } else if (executed && lastAddress !== null && instrAddr > lastAddress && !code.has(instrAddr)) {
+    report(log, 'past-end', { kind: 'past-end', address: instrAddr, instrAddr })
+  }
+
+  for (const address of Object.keys(delta.changedMemory)) {
+    const addr = Number(address)
+    if (code.has(addr)) {
+      report(log, `code-overwritten:${addr}`, { kind: 'code-overwritten', address: addr, instrAddr })
+    }
+  }
+}
+
+/**
+ * Warnings found up to a step, each with the number of times it had
+ * happened by then (later repeats, already run ahead, are not counted)
+ * @param {Object} log - Anomaly log
+ * @param {number} step - Timeline step
+ * @returns {Array<Object>} Warnings with count, in step order
+ */
+export function warningsUpTo(log, step) {
+  return log.warnings
+    .filter((warning) => warning.step <= step)
+    .map((warning) => ({ ...warning, count: lastWriteAtOrBefore(warning.steps, step) + 1 }))
+}
+
+/**
+ * Explain a warning
+ * @param {Object} warning - Warning from the anomaly log, with count from
+ *   warningsUpTo to mention repeats
+ * @param {Object} layout - Program layout
+ * @returns {string} Explanation
+ */
+export function describeWarning(warning, layout) {
+  const { kind, address, instrAddr, count } = warning
+  const repeats = count > 1 ? ` (${count} times)` : ''
+  switch (kind) {
+    case 'undefined-register':
+      return `The instruction at ${wordToHex(instrAddr)} used R${warning.register} before anything ` +
+        `was loaded into it${repeats}. Its value is just what was left there (0 after a reset).`
+    case 'undefined-memory':
+      return `The instruction at ${wordToHex(instrAddr)} read ${wordToHex(address)}, which the ` +
+        `program never initialised${repeats}. Give it a value with data, or store to it first.`
+    case 'code-overwritten':
+      return `The instruction at ${wordToHex(instrAddr)} overwrote program code at ` +
+        `${wordToHex(address)}${repeats}. Check the address used by the store.`
+    case 'data-executed':
+      return `The data word at ${wordToHex(address)} was executed as an instruction${repeats}. ` +
+        'The program probably ran into its data; is a trap R0,R0,R0 missing before it?'
+    case 'past-end':
+      return `Execution ran past the last assembled word (${wordToHex(layout.lastAddress)}) ` +
+        `to ${wordToHex(address)}. Is a trap R0,R0,R0 or a jump missing at the end?`
+    default:
+      return `Warning at ${wordToHex(address)}`
+  }
+}
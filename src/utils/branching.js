@@ -0,0 +1,121 @@
+import * as arch from '@logic/architecture.mjs'
+import { parseWatchTarget } from './watchpoints'
+
+/**
+ * What-if branches: edits applied to a reconstructed state before a new run
+ * is forked from it.
+ *
+ * An edit target is a register (R1-R15), a condition flag (ccC ccV ccG ccE
+ * ccL ccg ccl, stored as bits of R15) or a single memory word written as for
+ * a watchpoint (`sum`, `sum+1`, `$0010`).
+ */
+
+const FLAG_BITS = new Map([
+  ['ccC', arch.bit_ccC],
+  ['ccV', arch.bit_ccV],
+  ['ccG', arch.bit_ccG],
+  ['ccE', arch.bit_ccE],
+  ['ccL', arch.bit_ccL],
+  ['ccg', arch.bit_ccg],
+  ['ccl', arch.bit_ccl]
+])
+
+/**
+ * Parse the location an edit changes
+ * @param {string} text - Target as typed by the user
+ * @param {Map<string, Object>} symbolTable - Assembler symbol table
+ * @returns {Object} {kind: 'register' | 'flag' | 'memory', location, name}
+ * @throws {Error} If the target cannot be edited
+ */
+export function parseEditTarget(text, symbolTable) {
+  const trimmed = text.trim()
+  if (FLAG_BITS.has(trimmed)) {
+    return { kind: 'flag', location: FLAG_BITS.get(trimmed), name: trimmed }
+  }
+  const target = parseWatchTarget(trimmed, symbolTable)
+  if (target.kind === 'register') {
+    if (target.index === 0) {
+      throw new Error('R0 is always 0 and cannot be changed')
+    }
+    return { kind: 'register', location: target.index, name: `R${target.index}` }
+  }
+  if (target.start !== target.end) {
+    throw new Error('Edit one memory word at a time, not a range')
+  }
+  return { kind: 'memory', location: target.start, name: trimmed }
+}
+
+/**
+ * Parse the new value for an edit
+ * @param {string} text - Decimal (may be negative), $hex or 0xhex
+ * @param {Object} target - Parsed edit target
+ * @returns {number} 16-bit word, or 0/1 for a flag
+ * @throws {Error} If the value cannot be read
+ */
+export function parseEditValue(text, target) {
+  const trimmed = text.trim()
+  let value
+  if (/^\$[0-9a-fA-F]+$/.test(trimmed)) {
+    value = parseInt(trimmed.slice(1), 16)
+  } else if (/^0[xX][0-9a-fA-F]+$/.test(trimmed)) {
+    value = parseInt(trimmed.slice(2), 16)
+  } else if (/^-?\d+$/.test(trimmed)) {
+    value = Number(trimmed)
+  } else {
+    throw new Error(`Cannot read '${trimmed}' as a number`)
+  }
+  if (target.kind === 'flag') {
+    if (value !== 0 && value !== 1) {
+      throw new Error('A flag must be set to 0 or 1')
+    }
+    return value
+  }
+  if (value < -32768 || value > 0xffff) {
+    throw new Error(`${trimmed} does not fit in a 16-bit word`)
+  }
+  return value & 0xffff
+}
+
+function refreshFlags(state) {
+  const ccWord = state.reg[15]
+  state.ccC = arch.extractBoolLE(ccWord, arch.bit_ccC)
+  state.ccV = arch.extractBoolLE(ccWord, arch.bit_ccV)
+  state.ccG = arch.extractBoolLE(ccWord, arch.bit_ccG)
+  state.ccE = arch.extractBoolLE(ccWord, arch.bit_ccE)
+  state.ccL = arch.extractBoolLE(ccWord, arch.bit_ccL)
+  state.ccg = arch.extractBoolLE(ccWord, arch.bit_ccg)
+  state.ccl = arch.extractBoolLE(ccWord, arch.bit_ccl)
+}
+
+/**
+ * Apply edits to a reconstructed state, mutating it
+ * @param {Object} state - Full state with its own reg and mem arrays
+ * @param {Array<Object>} edits - Edits as {target, value}
+ * @returns {Object} The same state
+ */
+export function applyStateEdits(state, edits) {
+  for (const { target, value } of edits) {
+    if (target.kind === 'register') {
+      state.reg[target.location] = value
+    } else if (target.kind === 'flag') {
+      const bit = 1 << target.location
+      state.reg[15] = value ? (state.reg[15] | bit) : (state.reg[15] & ~bit & 0xffff)
+    } else {
+      state.mem[target.location] = value
+    }
+  }
+  refreshFlags(state)
+  return state
+}
+
+/**
+ * Short description of a set of edits, e.g. "R2 = 0005, ccE = 1"
+ * @param {Array<Object>} edits - Edits as {target, value}
+ * @param {Function} formatWord - Formats a 16-bit word for display
+ * @returns {string} Description
+ */
+export function describeEdits(edits, formatWord) {
+  return edits
+    .map(({ target, value }) => `${target.name} = ${target.kind === 'flag' ? value : formatWord(value)}`)
+    .join(', ')
+}
@@ -0,0 +1,191 @@
+/**
+ * Breakpoint conditions: a small expression language over machine state.
+ *
+ * Examples: `R3 == 10`, `mem[sum] > 100`, `ccE`, `step > 500`,
+ * `R1 != 0 && mem[x+2] == $00ff`.
+ *
+ * Operands are registers (R0-R15), memory (`mem[address]`), labels (their
+ * address, from the assembler's symbol table), numbers (decimal, `$hex` or
+ * `0xhex`), the condition flags (ccC ccV ccG ccE ccL ccg ccl, 1 when set),
+ * `pc`, `ir` and `step`. Register and memory values are unsigned 16-bit
+ * words, so write $ffff rather than -1. Operators, lowest precedence first:
+ * `||`, `&&`, `!`, comparisons (== != < <= > >=), `+ -`, unary `-`.
+ */
+
+const FLAG_NAMES = new Set(['ccC', 'ccV', 'ccG', 'ccE', 'ccL', 'ccg', 'ccl'])
+const COMPARISONS = new Set(['==', '!=', '<', '<=', '>', '>='])
+
+function conditionError(message, column) {
+  return new Error(`Condition error at column ${column + 1}: ${message}`)
+}
+
+function tokenize(text) {
+  const tokens = []
+  const pattern = /\s*(?:(\$[0-9a-fA-F]+|0[xX][0-9a-fA-F]+|\d+)|([A-Za-z_][\w]*)|(==|!=|<=|>=|&&|\|\||[<>!()[\]+-])|(\S))/y
+  let match
+  while (pattern.lastIndex < text.length && (match = pattern.exec(text))) {
+    const column = match.index + match[0].length - match[0].trimStart().length
+    if (match[1]) {
+      const raw = match[1]
+      const value = raw.startsWith('$') ? parseInt(raw.slice(1), 16) : Number(raw)
+      tokens.push({ kind: 'number', value, text: raw, column })
+    } else if (match[2]) {
+      tokens.push({ kind: 'name', text: match[2], column })
+    } else if (match[3]) {
+      tokens.push({ kind: 'op', text: match[3], column })
+    } else if (match[4]) {
+      const hint = match[4] === '=' ? ' (use == to compare)' : ''
+      throw conditionError(`unexpected '${match[4]}'${hint}`, column)
+    }
+  }
+  tokens.push({ kind: 'end', text: 'end of condition', column: text.length })
+  return tokens
+}
+
+/**
+ * Compile a condition to a function of the machine state
+ * @param {string} text - Condition source
+ * @param {Map<string, Object>} symbolTable - Assembler symbol table
+ * @returns {Function} (state, step) => boolean
+ * @throws {Error} If the condition does not parse or names an unknown label
+ */
+export function compileCondition(text, symbolTable = new Map()) {
+  const tokens = tokenize(text)
+  let position = 0
+
+  const peek = () => tokens[position]
+  const next = () => tokens[position++]
+  const accept = (op) => {
+    if (peek().kind === 'op' && peek().text === op) {
+      position += 1
+      return true
+    }
+    return false
+  }
+  const expect = (op) => {
+    if (!accept(op)) {
+      throw conditionError(`expected '${op}' but found '${peek().text}'`, peek().column)
+    }
+  }
+
+  function parseOr() {
+    let left = parseAnd()
+    while (accept('||')) {
+      const lhs = left
+      const rhs = parseAnd()
+      left = (s, n) => (lhs(s, n) || rhs(s, n) ? 1 : 0)
+    }
+    return left
+  }
+
+  function parseAnd() {
+    let left = parseNot()
+    while (accept('&&')) {
+      const lhs = left
+      const rhs = parseNot()
+      left = (s, n) => (lhs(s, n) && rhs(s, n) ? 1 : 0)
+    }
+    return left
+  }
+
+  function parseNot() {
+    if (accept('!')) {
+      const operand = parseNot()
+      return (s, n) => (operand(s, n) ? 0 : 1)
+    }
+    return parseComparison()
+  }
+
+  function parseComparison() {
+    const left = parseSum()
+    const token = peek()
+    if (token.kind !== 'op' || !COMPARISONS.has(token.text)) {
+      return left
+    }
+    next()
+    const right = parseSum()
+    switch (token.text) {
+      case '==': return (s, n) => (left(s, n) === right(s, n) ? 1 : 0)
+      case '!=': return (s, n) => (left(s, n) !== right(s, n) ? 1 : 0)
+      case '<': return (s, n) => (left(s, n) < right(s, n) ? 1 : 0)
+      case '<=': return (s, n) => (left(s, n) <= right(s, n) ? 1 : 0)
+      case '>': return (s, n) => (left(s, n) > right(s, n) ? 1 : 0)
+      default: return (s, n) => (left(s, n) >= right(s, n) ? 1 : 0)
+    }
+  }
+
+  function parseSum() {
+    let left = parseUnary()
+    for (;;) {
+      if (accept('+')) {
+        const lhs = left
+        const rhs = parseUnary()
+        left = (s, n) => lhs(s, n) + rhs(s, n)
+      } else if (accept('-')) {
+        const lhs = left
+        const rhs = parseUnary()
+        left = (s, n) => lhs(s, n) - rhs(s, n)
+      } else {
+        return left
+      }
+    }
+  }
+
+  function parseUnary() {
+    if (accept('-')) {
+      const operand = parseUnary()
+      return (s, n) => -operand(s, n)
+    }
+    return parsePrimary()
+  }
+
+  function parsePrimary() {
+    const token = next()
+    if (token.kind === 'number') {
+      const { value } = token
+      return () => value
+    }
+    if (token.kind === 'op' && token.text === '(') {
+      const inner = parseOr()
+      expect(')')
+      return inner
+    }
+    if (token.kind !== 'name') {
+      throw conditionError(`expected a value but found '${token.text}'`, token.column)
+    }
+
+    const name = token.text
+    const register = name.match(/^[Rr](1[0-5]|[0-9])$/)
+    if (register) {
+      const index = Number(register[1])
+      return (s) => s.reg[index]
+    }
+    if (name === 'mem') {
+      expect('[')
+      const address = parseOr()
+      expect(']')
+      return (s, n) => s.mem[address(s, n) & 0xffff]
+    }
+    if (FLAG_NAMES.has(name)) {
+      return (s) => (s[name] ? 1 : 0)
+    }
+    if (name === 'step') return (s, n) => n
+    if (name === 'pc') return (s) => s.pc
+    if (name === 'ir') return (s) => s.ir
+
+    const address = symbolTable.get(name)?.value?.word
+    if (typeof address !== 'number') {
+      throw conditionError(`unknown name '${name}'`, token.column)
+    }
+    return () => address
+  }
+
+  if (peek().kind === 'end') {
+    throw conditionError('the condition is empty', 0)
+  }
+  const evaluate = parseOr()
+  if (peek().kind !== 'end') {
+    throw conditionError(`unexpected '${peek().text}'`, peek().column)
+  }
+  return (state, step) => Boolean(evaluate(state, step))
+}
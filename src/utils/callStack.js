@@ -0,0 +1,100 @@
+import * as arch from '@logic/architecture.mjs'
+import { executedInstruction } from './formatters'
+
+/**
+ * Call stack reconstructed from the trace. A subroutine is called with
+ * jal, which leaves the return address in its link register (usually
+ * R13), and returns with a jump back to that address (jump 0[R13]).
+ * Each jal opens a frame; a jump to the return address of an open frame
+ * closes it, and any frames called from it that never returned. Frames
+ * are kept in call order with the steps they were entered and left, as
+ * deltas arrive, along with the number of open frames at each step for
+ * stepping over and out of calls.
+ */
+
+function rxMnemonic(ir) {
+  return ((ir >> 12) & 0xf) === 15 ? arch.mnemonicRX[ir & 0xf] : null
+}
+
+/**
+ * Create an empty call log
+ * @param {Array<Object>} frames - Frames still open where a branch
+ *   forks, or none for a new run
+ * @returns {Object} Call log
+ */
+export function createCallLog(frames = []) {
+  return {
+    steps: 0,
+    frames: frames.slice(),
+    open: frames.slice(),
+    depths: [frames.length]
+  }
+}
+
+/**
+ * Record the call or return made by the next delta
+ * @param {Object} log - Call log (mutated)
+ * @param {Object} delta - Next delta in the timeline
+ */
+export function appendCallDelta(log, delta) {
+  log.steps += 1
+  const ir = executedInstruction(delta)
+  const mnemonic = delta.interrupt || delta.fault ? null : rxMnemonic(ir)
+
+  if (mnemonic === 'jal') {
+    const frame = {
+      id: log.frames.length,
+      step: log.steps,
+      target: delta.pc,
+      callAddr: delta.curInstrAddr,
+      returnAddr: (delta.curInstrAddr + 2) & 0xffff,
+      linkRegister: (ir >> 8) & 0xf,
+      exitStep: null
+    }
+    log.frames.push(frame)
+    log.open.push(frame)
+  } else if (mnemonic === 'jump') {
+    for (let i = log.open.length - 1; i >= 0; i -= 1) {
+      if (log.open[i].returnAddr !== delta.pc) continue
+      for (const frame of log.open.splice(i)) {
+        frame.exitStep = log.steps
+      }
+      break
+    }
+  }
+  log.depths.push(log.open.length)
+}
+
+/**
+ * Number of calls not yet returned from at a step
+ * @param {Object} log - Call log
+ * @param {number} step - Timeline step (0..log.steps)
+ * @returns {number} Call depth (0 in the main program)
+ */
+export function callDepthAt(log, step) {
+  return log.depths[Math.min(step, log.steps)]
+}
+
+/**
+ * Frames open at a step
+ * @param {Object} log - Call log
+ * @param {number} step - Timeline step
+ * @returns {Array<Object>} Frames, outermost first: {id, step, target,
+ *   callAddr, returnAddr, linkRegister, exitStep} (step null for a frame
+ *   entered before a branch forked)
+ */
+export function callStackAt(log, step) {
+  return log.frames.filter((frame) =>
+    (frame.step === null || frame.step <= step) && (frame.exitStep === null || frame.exitStep > step))
+}
+
+/**
+ * Frames open where a branch forks, for the branch's call log. They
+ * are numbered again from 0 in call order.
+ * @param {Object} log - Parent's call log
+ * @param {number} step - Fork step
+ * @returns {Array<Object>} Frames entered before the branch
+ */
+export function inheritedFrames(log, step) {
+  return callStackAt(log, step).map((frame, id) => ({ ...frame, id, step: null, exitStep: null }))
+}
@@ -0,0 +1,240 @@
+/**
+ * Periodic full-state keyframes for timeline reconstruction.
+ *
+ * Memory is held as fixed-size pages. A keyframe keeps references to the
+ * pages that were live when it was taken, and the working copy clones a page
+ * only the first time it is written after a keyframe (copy-on-write), so
+ * consecutive keyframes share every page that did not change between them.
+ */
+
+export const PAGE_WORDS = 256
+export const CHECKPOINT_INTERVAL = 256
+
+const MEMORY_WORDS = 65536
+const PAGE_SHIFT = 8
+const PAGE_MASK = PAGE_WORDS - 1
+
+/**
+ * Split a flat memory array into pages
+ * @param {Uint16Array} mem - Full memory (65,536 words)
+ * @returns {Array<Uint16Array>} Page copies
+ */
+export function splitIntoPages(mem) {
+  const pages = []
+  for (let offset = 0; offset < MEMORY_WORDS; offset += PAGE_WORDS) {
+    pages.push(mem.slice(offset, offset + PAGE_WORDS))
+  }
+  return pages
+}
+
+/**
+ * Join pages back into a flat memory array
+ * @param {Array<Uint16Array>} pages - Memory pages
+ * @returns {Uint16Array} Full memory (65,536 words)
+ */
+export function joinPages(pages) {
+  const mem = new Uint16Array(MEMORY_WORDS)
+  for (let i = 0; i < pages.length; i += 1) {
+    mem.set(pages[i], i * PAGE_WORDS)
+  }
+  return mem
+}
+
+/**
+ * Copy the non-memory fields of a delta into a state, mutating it
+ * @param {Object} state - State to update (reg is modified in place)
+ * @param {Object} delta - Delta from the timeline
+ * @returns {Object} The same state
+ */
+export function applyDeltaFields(state, delta) {
+  state.pc = delta.pc
+  state.ir = delta.ir
+  state.ccC = delta.ccC
+  state.ccV = delta.ccV
+  state.ccG = delta.ccG
+  state.ccE = delta.ccE
+  state.ccL = delta.ccL
+  state.ccg = delta.ccg
+  state.ccl = delta.ccl
+  state.halted = delta.halted
+  state.instrCount = delta.instrCount
+  Object.assign(state, delta.controlRegs)
+  state.timer = delta.timer ?? state.timer
+
+  for (const [index, value] of Object.entries(delta.changedRegisters)) {
+    state.reg[Number(index)] = value
+  }
+  return state
+}
+
+/**
+ * Apply a delta to a state with flat memory, mutating it
+ * @param {Object} state - State with reg and mem typed arrays
+ * @param {Object} delta - Delta from the timeline
+ * @returns {Object} The same state
+ */
+export function applyDeltaInPlace(state, delta) {
+  applyDeltaFields(state, delta)
+  for (const [address, value] of Object.entries(delta.changedMemory)) {
+    state.mem[Number(address)] = value
+  }
+  return state
+}
+
+function snapshotKeyframe(step, working) {
+  const state = { ...working, reg: new Uint16Array(working.reg) }
+  delete state.pages
+  delete state.ownedPages
+  return {
+    step,
+    state,
+    pages: working.pages.slice()
+  }
+}
+
+function samePage(page, mem, offset) {
+  for (let i = 0; i < PAGE_WORDS; i += 1) {
+    if (page[i] !== mem[offset + i]) return false
+  }
+  return true
+}
+
+/**
+ * Start a checkpoint track from the initial machine state
+ * @param {Object} initialState - Full state at step 0
+ * @param {number} interval - Steps between keyframes
+ * @param {Array<Uint16Array>} basePages - Pages to reuse where they hold the
+ *   same words, e.g. the parent run's pages where a branch forks, so the two
+ *   runs share them; null to split the memory into new pages
+ * @returns {Object} Checkpoint track
+ */
+export function createCheckpointTrack(initialState, interval = CHECKPOINT_INTERVAL, basePages = null) {
+  const { mem, ...scalars } = initialState
+  const pages = splitIntoPages(mem)
+  if (basePages) {
+    for (let i = 0; i < pages.length; i += 1) {
+      if (samePage(basePages[i], mem, i * PAGE_WORDS)) pages[i] = basePages[i]
+    }
+  }
+  const working = {
+    ...scalars,
+    reg: new Uint16Array(initialState.reg),
+    pages,
+    ownedPages: new Set()
+  }
+  return {
+    interval,
+    steps: 0,
+    working,
+    checkpoints: [snapshotKeyframe(0, working)]
+  }
+}
+
+/**
+ * Advance a checkpoint track by one delta, taking a keyframe every interval
+ * @param {Object} track - Checkpoint track (mutated)
+ * @param {Object} delta - Next delta in the timeline
+ */
+export function appendCheckpointDelta(track, delta) {
+  const { working } = track
+  applyDeltaFields(working, delta)
+
+  for (const [address, value] of Object.entries(delta.changedMemory)) {
+    const addr = Number(address)
+    const pageIndex = addr >> PAGE_SHIFT
+    if (!working.ownedPages.has(pageIndex)) {
+      working.pages[pageIndex] = working.pages[pageIndex].slice()
+      working.ownedPages.add(pageIndex)
+    }
+    working.pages[pageIndex][addr & PAGE_MASK] = value
+  }
+
+  track.steps += 1
+  if (track.steps % track.interval === 0) {
+    track.checkpoints.push(snapshotKeyframe(track.steps, working))
+    working.ownedPages = new Set()
+  }
+}
+
+/**
+ * Reconstruct the full state at a step from the nearest earlier keyframe
+ * @param {Object} track - Checkpoint track
+ * @param {Array<Object>} deltas - Timeline deltas
+ * @param {number} step - Step to reconstruct (0 to track.steps)
+ * @returns {Object} Fresh state object with its own reg and mem arrays
+ */
+export function materializeState(track, deltas, step) {
+  const index = Math.min(Math.floor(step / track.interval), track.checkpoints.length - 1)
+  const keyframe = track.checkpoints[index]
+  const state = {
+    ...keyframe.state,
+    reg: new Uint16Array(keyframe.state.reg),
+    mem: joinPages(keyframe.pages)
+  }
+  for (let i = keyframe.step; i < step; i += 1) {
+    applyDeltaInPlace(state, deltas[i])
+  }
+  return state
+}
+
+/**
+ * Reconstruct the state at a step with its memory as pages. Pages the
+ * steps since the nearest keyframe did not write are the keyframe's own
+ * page objects, so two paged states can be compared page by page: the
+ * same page object means the same words.
+ * @param {Object} track - Checkpoint track
+ * @param {Array<Object>} deltas - Timeline deltas
+ * @param {number} step - Step to reconstruct (0 to track.steps)
+ * @returns {Object} State with reg and pages (do not write to the pages)
+ */
+export function materializePages(track, deltas, step) {
+  const index = Math.min(Math.floor(step / track.interval), track.checkpoints.length - 1)
+  const keyframe = track.checkpoints[index]
+  const pages = keyframe.pages.slice()
+  const owned = new Set()
+  const state = { ...keyframe.state, reg: new Uint16Array(keyframe.state.reg), pages }
+  for (let i = keyframe.step; i < step; i += 1) {
+    const delta = deltas[i]
+    applyDeltaFields(state, delta)
+    for (const [address, value] of Object.entries(delta.changedMemory)) {
+      const addr = Number(address)
+      const pageIndex = addr >> PAGE_SHIFT
+      if (!owned.has(pageIndex)) {
+        pages[pageIndex] = pages[pageIndex].slice()
+        owned.add(pageIndex)
+      }
+      pages[pageIndex][addr & PAGE_MASK] = value
+    }
+  }
+  return state
+}
+
+/**
+ * Read a word from paged memory
+ * @param {Array<Uint16Array>} pages - Memory pages
+ * @param {number} address - Word address
+ * @returns {number} Word value
+ */
+export function pagedWord(pages, address) {
+  return pages[address >> PAGE_SHIFT][address & PAGE_MASK]
+}
+
+/**
+ * Words that differ between two paged memories, comparing only the pages
+ * that are not the same page object
+ * @param {Array<Uint16Array>} pages - Memory pages
+ * @param {Array<Uint16Array>} otherPages - Memory pages to compare with
+ * @returns {Array<number>} Differing addresses, in increasing order
+ */
+export function differingAddresses(pages, otherPages) {
+  const addresses = []
+  for (let pageIndex = 0; pageIndex < pages.length; pageIndex += 1) {
+    const page = pages[pageIndex]
+    const other = otherPages[pageIndex]
+    if (page === other) continue
+    for (let i = 0; i < PAGE_WORDS; i += 1) {
+      if (page[i] !== other[i]) addresses.push((pageIndex << PAGE_SHIFT) + i)
+    }
+  }
+  return addresses
+}
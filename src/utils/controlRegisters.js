@@ -0,0 +1,80 @@
+import * as arch from '@logic/architecture.mjs'
+import { INTERRUPT_NAMES, interruptName } from './interruptSchedule'
+
+/**
+ * Control registers as recorded on the timeline, and bit-by-bit decoding
+ * of the status, mask and request registers for the control panel.
+ */
+
+export const CONTROL_REGISTERS = [
+  { name: 'statusreg', ctl: 'status', meaning: 'Processor status flags' },
+  { name: 'mask', ctl: 'mask', meaning: 'Interrupts allowed, one bit per request' },
+  { name: 'req', ctl: 'req', meaning: 'Interrupts requested, one bit per request' },
+  { name: 'rstat', ctl: 'istat', meaning: 'Status saved when an interrupt was taken' },
+  { name: 'rpc', ctl: 'ipc', meaning: 'PC saved when an interrupt was taken' },
+  { name: 'iir', ctl: 'iir', meaning: 'ir saved when an interrupt was taken' },
+  { name: 'iadr', ctl: 'iadr', meaning: 'adr saved when an interrupt was taken' },
+  { name: 'vect', ctl: 'vect', meaning: 'Address of the interrupt vector' },
+  { name: 'adr', ctl: null, meaning: 'Effective address of the last instruction' },
+  { name: 'dat', ctl: null, meaning: 'Data register of the last instruction' },
+  { name: 'bpseg', ctl: 'psegBeg', meaning: 'Program segment start' },
+  { name: 'epseg', ctl: 'psegEnd', meaning: 'Program segment end' },
+  { name: 'bdseg', ctl: 'dsegBeg', meaning: 'Data segment start' },
+  { name: 'edseg', ctl: 'dsegEnd', meaning: 'Data segment end' }
+]
+
+const STATUS_BITS = [
+  { bit: arch.userStateBit, name: 'User state', on: 'user state', off: 'system state' },
+  { bit: arch.intEnableBit, name: 'Interrupt enable', on: 'enabled', off: 'disabled' },
+  { bit: arch.TimerRunningBit, name: 'Timer running', on: 'running', off: 'stopped' },
+  { bit: arch.segEnableBit, name: 'Segmentation enable', on: 'enabled', off: 'disabled' }
+]
+
+function bitSet(word, bit) {
+  return ((word >> bit) & 1) === 1
+}
+
+/**
+ * Decode the status register
+ * @param {number} statusreg - Status register value
+ * @returns {Array<Object>} One row per flag: {bit, name, set, meaning}
+ */
+export function decodeStatus(statusreg) {
+  return STATUS_BITS.map(({ bit, name, on, off }) => {
+    const set = bitSet(statusreg, bit)
+    return { bit, name, set, meaning: set ? on : off }
+  })
+}
+
+/**
+ * Decode mask and req together. Every named request bit gets a row, and
+ * so does any other bit set in either register.
+ * @param {number} mask - Interrupt mask
+ * @param {number} req - Interrupt requests
+ * @returns {Array<Object>} Rows {bit, name, masked, requested, pending}
+ */
+export function decodeInterruptBits(mask, req) {
+  const rows = []
+  for (let bit = 0; bit < 16; bit += 1) {
+    const masked = bitSet(mask, bit)
+    const requested = bitSet(req, bit)
+    if (!INTERRUPT_NAMES.has(bit) && !masked && !requested) continue
+    rows.push({ bit, name: interruptName(bit), masked, requested, pending: masked && requested })
+  }
+  return rows
+}
+
+/**
+ * Names of the control registers that differ between two states
+ * @param {Object} state - Current state
+ * @param {Object} previous - Previous state, or null at step 0
+ * @returns {Set<string>} Register names that changed
+ */
+export function changedControlRegisters(state, previous) {
+  const changed = new Set()
+  if (!previous) return changed
+  for (const { name } of CONTROL_REGISTERS) {
+    if (state[name] !== previous[name]) changed.add(name)
+  }
+  return changed
+}
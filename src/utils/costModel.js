@@ -0,0 +1,176 @@
+import { executedInstruction } from './formatters'
+
+/**
+ * Cycle cost model. Every executed instruction falls in one class by
+ * format (RRR, RX, EXP, or multiply/divide, which are RRR instructions
+ * with their own cost), and each data memory word it loads or stores
+ * adds a memory access. The timeline keeps a running count of each
+ * class as deltas arrive, so the cycles up to any step can be worked
+ * out for any model without replaying the run.
+ *
+ * Interrupt entries and abandoned (faulted) instructions count as
+ * nothing; the handler's own instructions are counted as usual.
+ */
+
+export const COST_CLASSES = [
+  { key: 'rrr', name: 'RRR', meaning: 'Register instructions: add, sub, cmp, trap, ...' },
+  { key: 'rx', name: 'RX', meaning: 'Two-word instructions: load, store, lea, jumps, ...' },
+  { key: 'exp', name: 'EXP', meaning: 'Expanded instructions: shifts, logic, getctl, ...' },
+  { key: 'muldiv', name: 'Multiply/divide', meaning: 'mul, div, muln and divn (instead of RRR)' },
+  { key: 'memory', name: 'Memory access', meaning: 'Added for each data word loaded or stored' }
+]
+
+export const COST_PRESETS = {
+  uniform: {
+    name: 'One cycle per instruction',
+    costs: { rrr: 1, rx: 1, exp: 1, muldiv: 1, memory: 0 }
+  },
+  words: {
+    name: 'One cycle per memory word',
+    costs: { rrr: 1, rx: 2, exp: 2, muldiv: 1, memory: 1 }
+  },
+  multicycle: {
+    name: 'Multi-cycle processor',
+    costs: { rrr: 4, rx: 5, exp: 5, muldiv: 20, memory: 2 }
+  },
+  slowMemory: {
+    name: 'Slow memory',
+    costs: { rrr: 1, rx: 2, exp: 2, muldiv: 8, memory: 10 }
+  }
+}
+
+export const DEFAULT_COST_PRESET = 'uniform'
+
+const CLASS_COUNT = COST_CLASSES.length
+const CLASS_INDEX = new Map(COST_CLASSES.map(({ key }, index) => [key, index]))
+
+// RRR opcodes for mul, div, muln and divn
+const MULDIV_OPS = new Set([2, 3, 6, 7])
+
+/**
+ * Class of an executed instruction
+ * @param {number} ir - Instruction word
+ * @returns {string} 'rrr', 'rx', 'exp' or 'muldiv'
+ */
+export function instructionClass(ir) {
+  const op = (ir >> 12) & 0xf
+  if (op === 15) return 'rx'
+  if (op === 13 || op === 14) return 'exp'
+  return MULDIV_OPS.has(op) ? 'muldiv' : 'rrr'
+}
+
+/**
+ * Class counts of one delta
+ * @param {Object} delta - Timeline delta
+ * @returns {Object} Count per class key (all 0 for interrupts and faults)
+ */
+export function deltaClassCounts(delta) {
+  const counts = Object.fromEntries(COST_CLASSES.map(({ key }) => [key, 0]))
+  if (delta.interrupt || delta.fault) return counts
+  counts[instructionClass(executedInstruction(delta))] = 1
+  counts.memory = (delta.dataReads?.length ?? 0) + Object.keys(delta.changedMemory).length
+  return counts
+}
+
+/**
+ * Create an empty cycle log
+ * @param {Object} start - Class counts already reached (a branch's fork),
+ *   or null for a new run
+ * @returns {Object} Cycle log
+ */
+export function createCycleLog(start = null) {
+  const first = COST_CLASSES.map(({ key }) => start?.[key] ?? 0)
+  return {
+    steps: 0,
+    totals: first
+  }
+}
+
+/**
+ * Add the next delta to the running class counts
+ * @param {Object} log - Cycle log (mutated)
+ * @param {Object} delta - Next delta in the timeline
+ */
+export function appendCycleDelta(log, delta) {
+  const counts = deltaClassCounts(delta)
+  const base = log.steps * CLASS_COUNT
+  for (const { key } of COST_CLASSES) {
+    log.totals.push(log.totals[base + CLASS_INDEX.get(key)] + counts[key])
+  }
+  log.steps += 1
+}
+
+/**
+ * Running class counts at a step
+ * @param {Object} log - Cycle log
+ * @param {number} step - Timeline step (0..log.steps)
+ * @returns {Object} Count per class key
+ */
+export function classCountsAt(log, step) {
+  const base = Math.min(step, log.steps) * CLASS_COUNT
+  return Object.fromEntries(COST_CLASSES.map(({ key }, index) => [key, log.totals[base + index]]))
+}
+
+/**
+ * Cycles for some class counts under a model
+ * @param {Object} counts - Count per class key
+ * @param {Object} costs - Cycles per class key
+ * @returns {number} Cycles
+ */
+export function cyclesFor(counts, costs) {
+  return COST_CLASSES.reduce((sum, { key }) => sum + counts[key] * costs[key], 0)
+}
+
+/**
+ * Cycle statistics at a step
+ * @param {Object} log - Cycle log
+ * @param {number} step - Timeline step
+ * @param {Object} costs - Cycles per class key
+ * @param {number} clockMHz - Clock rate in MHz
+ * @returns {Object} {cycles, stepCycles, instructions, cpi, seconds}
+ *   (cpi null before any instruction, seconds null without a clock rate)
+ */
+export function cycleStats(log, step, costs, clockMHz) {
+  const counts = classCountsAt(log, step)
+  const cycles = cyclesFor(counts, costs)
+  const previous = step > 0 ? cyclesFor(classCountsAt(log, step - 1), costs) : cycles
+  const instructions = counts.rrr + counts.rx + counts.exp + counts.muldiv
+  return {
+    cycles,
+    stepCycles: cycles - previous,
+    instructions,
+    cpi: instructions > 0 ? cycles / instructions : null,
+    seconds: clockMHz > 0 ? cycles / (clockMHz * 1e6) : null
+  }
+}
+
+/**
+ * Check and build cycle costs from form values
+ * @param {Object} values - Value per class key (strings or numbers)
+ * @returns {Object} Cycles per class key
+ * @throws {Error} If a cost is not a whole number from 0
+ */
+export function createCosts(values) {
+  const costs = {}
+  for (const { key, name } of COST_CLASSES) {
+    const cost = Number(values[key])
+    if (values[key] === '' || !Number.isInteger(cost) || cost < 0) {
+      throw new Error(`The ${name} cost must be a whole number of cycles from 0`)
+    }
+    costs[key] = cost
+  }
+  return costs
+}
+
+/**
+ * Format a simulated time with a suitable unit
+ * @param {number} seconds - Time in seconds
+ * @returns {string} e.g. "1.25 µs"
+ */
+export function formatDuration(seconds) {
+  const units = [[1, 's'], [1e-3, 'ms'], [1e-6, 'µs'], [1e-9, 'ns']]
+  for (const [scale, unit] of units) {
+    if (seconds >= scale) return `${(seconds / scale).toPrecision(3)} ${unit}`
+  }
+  return seconds === 0 ? '0 s' : `${(seconds / 1e-9).toPrecision(3)} ns`
+}
@@ -1,4 +1,5 @@
 import * as arch from '@logic/architecture.mjs'
+import { interruptName } from './interruptSchedule'
 
 /**
  * Utility functions for formatting Sigma16 data for display
@@ -233,14 +234,72 @@ function formatValueWithDecimal(value) {
   return `0x${wordToHex(value)} (${wordToDecimal(value)})`
 }
 
+/**
+ * The instruction word a step executed. This is the ir after the step,
+ * except for resume, which restores the ir saved when the interrupt was taken.
+ * @param {Object} delta - Delta from the timeline
+ * @returns {number} Instruction word
+ */
+export function executedInstruction(delta) {
+  return delta.executedIr ?? delta.ir
+}
+
+/**
+ * Explain an interrupt entry step
+ * @param {Object} interrupt - delta.interrupt: {index, savedPc, savedStatus, vect, handler}
+ * @returns {string} Explanation
+ */
+export function describeInterruptEntry(interrupt) {
+  const { index, savedPc, savedStatus, vect, handler } = interrupt
+  return `Interrupt ${index} (${interruptName(index)}) is taken instead of the next instruction. ` +
+    `The PC ${wordToHex(savedPc)} is saved in rpc and the status register ${wordToHex(savedStatus)} in rstat, ` +
+    'the request bit is cleared, interrupts are disabled and the machine switches to system state. ' +
+    `Execution continues at the handler, vect + 2*${index} = ${wordToHex(vect)} + ${2 * index} = ${wordToHex(handler)}.`
+}
+
+/**
+ * Explain a fault: a user-state access outside its segment, or a
+ * privileged instruction in user state
+ * @param {Object} fault - delta.fault: {kind, address, instrAddr, bit,
+ *   halted (no interrupt could handle it), ...}
+ * @returns {string} Explanation
+ */
+export function describeFault(fault) {
+  const { kind, address, instrAddr, bit } = fault
+  let cause
+  if (kind === 'privileged') {
+    cause = `Privileged instruction: ${fault.instruction} at ${wordToHex(instrAddr)} may only be ` +
+      'executed in system state, but the machine is in user state.'
+  } else {
+    const access = { fetch: 'fetch an instruction from', read: 'read', write: 'write' }[kind]
+    const registers = fault.segment === 'program' ? 'bpseg..epseg' : 'bdseg..edseg'
+    cause = `Segmentation fault: in user state the instruction at ${wordToHex(instrAddr)} tried to ` +
+      `${access} ${wordToHex(address)}, outside the ${fault.segment} segment ` +
+      `${wordToHex(fault.beg)}..${wordToHex(fault.end)} (${registers}).`
+  }
+  const stored = kind === 'write' ? ' and nothing is stored' : ''
+  const outcome = fault.halted
+    ? 'Interrupts are disabled or the bit is not set in mask, so nothing can handle the fault ' +
+      'and the machine halts.'
+    : 'The interrupt is taken next if interrupts are enabled and the bit is set in mask.'
+  return `${cause} The instruction is abandoned${stored}, the PC stays at ${wordToHex(instrAddr)}, ` +
+    `and request bit ${bit} (${interruptName(bit)}) is set in req. ${outcome}`
+}
+
 export function describeInstruction(delta, currentState, previousState, context = {}) {
   if (!delta || !currentState) {
     return 'Program loaded. Step forward to begin execution.'
   }
+  if (delta.interrupt) {
+    return describeInterruptEntry(delta.interrupt)
+  }
+  if (delta.fault) {
+    return describeFault(delta.fault)
+  }
 
   const memory = previousState?.mem || currentState.mem
   const address = delta.curInstrAddr ?? null
-  const decoded = decodeInstruction(delta.ir, { memory, address })
+  const decoded = decodeInstruction(executedInstruction(delta), { memory, address })
   const { mnemonic, format, d, a, b, disp } = decoded
   const prevRegs = previousState?.reg || currentState.reg
   const currRegs = currentState.reg
@@ -375,8 +434,14 @@ export function describeInstruction(delta, currentState, previousState, context
       return 'Read a control register into a general-purpose register.'
     case 'putctl':
       return 'Write a general-purpose register into a control register.'
-    case 'resume':
-      return 'Resume execution after an interrupt or trap.'
+    case 'resume': {
+      const status = currentState.statusreg
+      const state = arch.extractBoolLE(status, arch.userStateBit) ? 'user' : 'system'
+      const enabled = arch.extractBoolLE(status, arch.intEnableBit) ? 'enabled' : 'disabled'
+      return `Return from the interrupt handler: the status register is restored from rstat ` +
+        `(${wordToHex(status)}: ${state} state, interrupts ${enabled}) and the PC from rpc, ` +
+        `so execution goes back to ${wordToHex(currentState.pc)}, where it was interrupted.`
+    }
     case 'timon':
       return 'Enable the timer.'
     case 'timoff':
@@ -423,9 +488,25 @@ export function getDeltaSummary(delta, context = {}) {
   // PC change
   changes.push(`PC: ${wordToHex(delta.pc)}`)
 
-  // Instruction executed
-  const instr = decodeInstruction(delta.ir, { memory, address, sourceLine })
-  changes.push(`Instruction: ${instr.mnemonic} ${instr.operands}`)
+  for (const bit of delta.raisedInterrupts || []) {
+    changes.push(`Interrupt request raised: ${interruptName(bit)} (bit ${bit})`)
+  }
+
+  // Instruction executed, or interrupt taken instead
+  if (delta.interrupt) {
+    const { index, savedPc, handler } = delta.interrupt
+    changes.push(`Interrupt ${index} (${interruptName(index)}): PC ${wordToHex(savedPc)} saved, handler at ${wordToHex(handler)}`)
+  } else if (delta.fault?.kind === 'fetch') {
+    changes.push(`Fault: instruction fetch from ${wordToHex(delta.fault.address)} is outside the program segment`)
+  } else {
+    const instr = decodeInstruction(executedInstruction(delta), { memory, address, sourceLine })
+    changes.push(`Instruction: ${instr.mnemonic} ${instr.operands}`)
+  }
+  if (delta.fault && delta.fault.kind !== 'fetch') {
+    const { kind, address, bit } = delta.fault
+    const what = kind === 'privileged' ? 'privileged instruction in user state' : `${kind} of ${wordToHex(address)} outside the data segment`
+    changes.push(`Fault: ${what}, instruction abandoned (req bit ${bit} set)`)
+  }
 
   // Register changes
   const regChanges = Object.entries(delta.changedRegisters)
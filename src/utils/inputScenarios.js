@@ -0,0 +1,134 @@
+/**
+ * Named input scenarios, saved in the program source as comment lines so
+ * they travel with the file:
+ *
+ *   ; @input empty line: "\n"
+ *   ; @input hello: "hello\n" "world\n"
+ *
+ * Each scenario is a list of chunks written as JSON strings. Trap reads
+ * consume the chunks one at a time (see QueueInputDevice in iodevice.mjs).
+ */
+
+const DIRECTIVE = /^\s*;\s*@input\b/
+const SCENARIO_LINE = /^\s*;\s*@input\s+([^:]*?)\s*:(.*)$/
+const CHUNK = /\s*("(?:[^"\\]|\\.)*")/y
+
+function parseChunks(text) {
+  const chunks = []
+  let position = 0
+  let match
+  CHUNK.lastIndex = 0
+  while ((match = CHUNK.exec(text))) {
+    chunks.push(JSON.parse(match[1]))
+    position = CHUNK.lastIndex
+  }
+  if (text.slice(position).trim()) {
+    throw new Error('chunks must be written as "quoted strings"')
+  }
+  return chunks
+}
+
+/**
+ * Read the input scenarios from a program
+ * @param {string} sourceCode - Assembly source
+ * @returns {Object} {scenarios: [{name, chunks, line}], errors: [{line, message}]}
+ */
+export function parseScenarios(sourceCode) {
+  const scenarios = []
+  const errors = []
+  sourceCode.split('\n').forEach((text, line) => {
+    if (!DIRECTIVE.test(text)) return
+    const match = text.match(SCENARIO_LINE)
+    if (!match || !match[1]) {
+      errors.push({ line, message: 'expected ; @input name: "chunk" ...' })
+      return
+    }
+    try {
+      scenarios.push({ name: match[1], chunks: parseChunks(match[2]), line })
+    } catch (err) {
+      errors.push({ line, message: err.message })
+    }
+  })
+  return { scenarios, errors }
+}
+
+/**
+ * Write a scenario as a source comment line
+ * @param {Object} scenario - {name, chunks}
+ * @returns {string} Directive line
+ */
+export function formatScenario({ name, chunks }) {
+  return `; @input ${name}: ${chunks.map((chunk) => JSON.stringify(chunk)).join(' ')}`
+}
+
+/**
+ * Add a scenario to a program, after its last scenario or at the end
+ * @param {string} sourceCode - Assembly source
+ * @param {Object} scenario - {name, chunks}
+ * @returns {string} Updated source
+ * @throws {Error} If the name cannot be used
+ */
+export function addScenario(sourceCode, scenario) {
+  const name = scenario.name.trim()
+  if (!name || name.includes(':')) {
+    throw new Error('A scenario needs a name without a colon')
+  }
+  const { scenarios } = parseScenarios(sourceCode)
+  if (scenarios.some((existing) => existing.name === name)) {
+    throw new Error(`There is already a scenario called '${name}'`)
+  }
+  const lines = sourceCode.split('\n')
+  const directive = formatScenario({ name, chunks: scenario.chunks })
+  if (scenarios.length > 0) {
+    lines.splice(scenarios[scenarios.length - 1].line + 1, 0, directive)
+    return lines.join('\n')
+  }
+  const body = sourceCode.replace(/\n*$/, '')
+  return `${body}\n\n${directive}\n`
+}
+
+/**
+ * Remove a scenario from a program
+ * @param {string} sourceCode - Assembly source
+ * @param {Object} scenario - Scenario as returned by parseScenarios
+ * @returns {string} Updated source
+ */
+export function removeScenario(sourceCode, scenario) {
+  const lines = sourceCode.split('\n')
+  lines.splice(scenario.line, 1)
+  return lines.join('\n')
+}
+
+/**
+ * Parse scenario chunks typed one per line, with JSON escapes such as \n
+ * @param {string} text - Chunks, one per line
+ * @returns {Array<string>} Chunks
+ * @throws {Error} If a line has a bad escape
+ */
+export function parseChunkLines(text) {
+  return text.split('\n').map((line, index) => {
+    try {
+      return JSON.parse(`"${line.replace(/\\.|"/g, (m) => (m === '"' ? '\\"' : m))}"`)
+    } catch {
+      throw new Error(`Chunk ${index + 1} has a bad escape (use \\n, \\t, \\\\ or \\")`)
+    }
+  })
+}
+
+/**
+ * Chunks still unread when a given number of characters remain
+ * @param {Array<string>} chunks - Input chunks of the run
+ * @param {number} remaining - Characters not yet read
+ * @returns {Array<string>} Unread chunks, the first possibly partly read
+ */
+export function remainingChunks(chunks, remaining) {
+  const unread = []
+  let count = 0
+  for (let i = chunks.length - 1; i >= 0 && count < remaining; i -= 1) {
+    const chunk = chunks[i]
+    const take = Math.min(chunk.length, remaining - count)
+    unread.unshift(chunk.slice(chunk.length - take))
+    count += take
+  }
+  return unread
+}
@@ -0,0 +1,92 @@
+import * as arch from '@logic/architecture.mjs'
+
+/**
+ * Scheduled external interrupts: request bits raised at chosen steps.
+ *
+ * A schedule is {bit, step, period}. The request bit is set in req just
+ * before step `step` runs, and again every `period` steps after that if
+ * period is above 0. Whether the interrupt is then taken depends on the
+ * program: interrupts must be enabled in the status register and the bit
+ * set in mask.
+ */
+
+export const INTERRUPT_NAMES = new Map([
+  [arch.timerBit, 'timer'],
+  [arch.segFaultBit, 'segmentation fault'],
+  [arch.stackOverflowBit, 'stack overflow'],
+  [arch.stackUnderflowBit, 'stack underflow'],
+  [arch.userTrapBit, 'user trap'],
+  [arch.overflowBit, 'overflow'],
+  [arch.binoverflowBi, 'binary overflow'],
+  [arch.zDivBit, 'divide by zero'],
+  [arch.privInstrBit, 'privileged instruction']
+])
+
+/**
+ * Name of an interrupt request bit
+ * @param {number} bit - Bit index in req and mask (0 = lsb)
+ * @returns {string} Name, e.g. "timer" or "bit 9"
+ */
+export function interruptName(bit) {
+  return INTERRUPT_NAMES.get(bit) || `bit ${bit}`
+}
+
+/**
+ * Check and build a schedule from form values
+ * @param {string|number} bit - Request bit, 0-15
+ * @param {string|number} step - First step to raise it at
+ * @param {string|number} period - Steps between repeats, or 0/empty for once
+ * @returns {Object} {bit, step, period}
+ * @throws {Error} If a value is out of range
+ */
+export function createSchedule(bit, step, period) {
+  const bitNumber = Number(bit)
+  const stepNumber = Number(step)
+  const periodNumber = period === '' || period === undefined ? 0 : Number(period)
+  if (!Number.isInteger(bitNumber) || bitNumber < 0 || bitNumber > 15) {
+    throw new Error('The request bit must be between 0 and 15')
+  }
+  if (!Number.isInteger(stepNumber) || stepNumber < 1) {
+    throw new Error('The step must be a whole number from 1')
+  }
+  if (!Number.isInteger(periodNumber) || periodNumber < 0) {
+    throw new Error('The period must be a whole number of steps')
+  }
+  return { bit: bitNumber, step: stepNumber, period: periodNumber }
+}
+
+/**
+ * Request bits due just before a step
+ * @param {Array<Object>} schedules - Interrupt schedules
+ * @param {number} step - Step about to run
+ * @returns {Array<number>} Bits to raise
+ */
+export function interruptsDue(schedules, step) {
+  const bits = []
+  for (const { bit, step: first, period } of schedules) {
+    if (step === first || (period > 0 && step > first && (step - first) % period === 0)) {
+      bits.push(bit)
+    }
+  }
+  return bits
+}
+
+/**
+ * Test whether any schedule will still raise a bit after a step
+ * @param {Array<Object>} schedules - Interrupt schedules
+ * @param {number} step - Current step
+ * @returns {boolean} True if more requests are coming
+ */
+export function interruptsPending(schedules, step) {
+  return schedules.some(({ step: first, period }) => period > 0 || first > step)
+}
+
+/**
+ * Short description of a schedule, e.g. "timer (bit 0) at step 40, every 100"
+ * @param {Object} schedule - Interrupt schedule
+ * @returns {string} Description
+ */
+export function describeSchedule({ bit, step, period }) {
+  const repeat = period > 0 ? `, then every ${period} steps` : ''
+  return `${interruptName(bit)} (bit ${bit}) at step ${step}${repeat}`
+}
@@ -0,0 +1,63 @@
+/**
+ * Structured I/O log: the characters each step read or wrote.
+ *
+ * Each delta carries ioEvents, the reads and writes its trap made as
+ * {kind: 'read' | 'write', text}. The log collects them in step order as
+ * {step, kind, text}, so the console at any step is a prefix of the log and
+ * every piece of text can be traced back to the step that produced it.
+ */
+
+/**
+ * Create an I/O log
+ * @param {Array<Object>} events - Events already on the console at step 0
+ * @returns {Object} I/O log
+ */
+export function createIoLog(events = []) {
+  return {
+    steps: 0,
+    events: events.slice()
+  }
+}
+
+/**
+ * Record the reads and writes of the next delta
+ * @param {Object} log - I/O log (mutated)
+ * @param {Object} delta - Next delta in the timeline
+ */
+export function appendIoDelta(log, delta) {
+  log.steps += 1
+  for (const { kind, text } of delta.ioEvents || []) {
+    log.events.push({ step: log.steps, kind, text })
+  }
+}
+
+/**
+ * Events on the console at a step
+ * @param {Object} log - I/O log
+ * @param {number} step - Timeline step
+ * @returns {Array<Object>} Events as {step, kind, text}, oldest first
+ */
+export function ioEventsAtStep(log, step) {
+  let low = 0
+  let high = log.events.length
+  while (low < high) {
+    const mid = (low + high) >> 1
+    if (log.events[mid].step <= step) {
+      low = mid + 1
+    } else {
+      high = mid
+    }
+  }
+  return log.events.slice(0, low)
+}
+
+/**
+ * Events a branch forked at a step starts with. They happened before the
+ * fork, so they are attributed to the branch's step 0.
+ * @param {Object} log - I/O log of the parent run
+ * @param {number} step - Step the branch is forked from
+ * @returns {Array<Object>} Events as {step: 0, kind, text}
+ */
+export function inheritedIoEvents(log, step) {
+  return ioEventsAtStep(log, step).map(({ kind, text }) => ({ step: 0, kind, text }))
+}
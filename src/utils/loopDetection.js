@@ -0,0 +1,152 @@
+/**
+ * Infinite-loop detection for timeline generation.
+ *
+ * The detector keeps a hash of the whole machine state (pc, registers,
+ * control registers, memory and unread input) and compares it against a
+ * reference hash that is moved forward at every power-of-two step. Since the
+ * machine is deterministic, an exact repeat of the state means the steps in
+ * between will repeat forever. Memory is hashed additively so only the words
+ * written by a step need to be rehashed.
+ */
+
+const MEMORY_WORDS = 65536
+
+function mixA(address, value) {
+  let h = Math.imul(address + 0x9e3779b9, 0x85ebca6b) ^ Math.imul(value + 1, 0xc2b2ae35)
+  h ^= h >>> 15
+  return Math.imul(h, 0x27d4eb2d) >>> 0
+}
+
+function mixB(address, value) {
+  let h = Math.imul(address ^ 0x5bd1e995, 0x165667b1) + Math.imul(value ^ 0x7f4a7c15, 0x1b873593)
+  h ^= h >>> 13
+  return Math.imul(h, 0xcc9e2d51) >>> 0
+}
+
+function foldWords(seed, words) {
+  let h = seed
+  for (const word of words) {
+    h = Math.imul(h ^ word, 0x01000193) >>> 0
+  }
+  return h
+}
+
+/**
+ * Create a loop detector from the state at step 0
+ * @param {Object} initialState - Full state with reg and mem typed arrays
+ * @returns {Object} Loop detector
+ */
+export function createLoopDetector(initialState) {
+  const mem = new Uint16Array(initialState.mem)
+  let memHashA = 0
+  let memHashB = 0
+  for (let address = 0; address < MEMORY_WORDS; address += 1) {
+    memHashA = (memHashA + mixA(address, mem[address])) >>> 0
+    memHashB = (memHashB + mixB(address, mem[address])) >>> 0
+  }
+  return {
+    steps: 0,
+    pc: initialState.pc,
+    reg: new Uint16Array(initialState.reg),
+    controlRegs: [initialState.statusreg, initialState.mask, initialState.req],
+    mem,
+    memHashA,
+    memHashB,
+    reference: null,
+    referenceStep: 0,
+    nextReference: 1
+  }
+}
+
+function stateHash(detector, inputLength) {
+  const words = [
+    detector.pc,
+    ...detector.reg,
+    ...detector.controlRegs,
+    inputLength,
+    detector.memHashA
+  ]
+  const a = foldWords(0x811c9dc5, words)
+  const b = foldWords(0x050c5d1f, words) ^ detector.memHashB
+  return `${a}:${b}`
+}
+
+/**
+ * Start over from the current state, e.g. after something outside the
+ * machine (a timer) has had an effect the hash does not cover
+ * @param {Object} detector - Loop detector (mutated)
+ */
+export function resetLoopDetector(detector) {
+  detector.reference = null
+  detector.referenceStep = detector.steps
+  detector.nextReference = detector.steps + 1
+}
+
+/**
+ * Feed the next delta to the detector
+ * @param {Object} detector - Loop detector (mutated)
+ * @param {Object} delta - Next delta in the timeline
+ * @param {number} inputLength - Characters of input not yet read
+ * @returns {Object|null} {step, period} once a repeated state is found
+ */
+export function observeLoopStep(detector, delta, inputLength = 0) {
+  detector.steps += 1
+  detector.pc = delta.pc
+  detector.controlRegs = [
+    delta.controlRegs.statusreg,
+    delta.controlRegs.mask,
+    delta.controlRegs.req
+  ]
+  for (const [index, value] of Object.entries(delta.changedRegisters)) {
+    detector.reg[Number(index)] = value
+  }
+  for (const [address, value] of Object.entries(delta.changedMemory)) {
+    const addr = Number(address)
+    const old = detector.mem[addr]
+    detector.memHashA = (detector.memHashA - mixA(addr, old) + mixA(addr, value)) >>> 0
+    detector.memHashB = (detector.memHashB - mixB(addr, old) + mixB(addr, value)) >>> 0
+    detector.mem[addr] = value
+  }
+
+  const hash = stateHash(detector, inputLength)
+  if (hash === detector.reference) {
+    return { step: detector.steps, period: detector.steps - detector.referenceStep }
+  }
+  if (detector.steps >= detector.nextReference) {
+    detector.reference = hash
+    detector.referenceStep = detector.steps
+    detector.nextReference = detector.steps * 2
+  }
+  return null
+}
+
+/**
+ * Describe a detected loop using the deltas of one pass through it
+ * @param {Array<Object>} deltas - Timeline deltas
+ * @param {Object} loop - {step, period} from observeLoopStep
+ * @param {Array<number>} lineMap - Address to source line index
+ * @returns {Object} {firstStep, lastStep, period, startAddress, endAddress, lines}
+ */
+export function describeLoop(deltas, loop, lineMap = []) {
+  const firstStep = Math.max(loop.step - loop.period + 1, 1)
+  const addresses = new Set()
+  for (let step = firstStep; step <= loop.step && step <= deltas.length; step += 1) {
+    addresses.add(deltas[step - 1].curInstrAddr)
+  }
+  const sorted = [...addresses].sort((a, b) => a - b)
+  const lines = new Set()
+  for (const address of sorted) {
+    const line = lineMap[address]
+    if (line !== undefined) {
+      lines.add(line)
+    }
+  }
+  return {
+    firstStep,
+    lastStep: loop.step,
+    period: loop.period,
+    startAddress: sorted[0] ?? 0,
+    endAddress: sorted[sorted.length - 1] ?? 0,
+    lines: [...lines].sort((a, b) => a - b)
+  }
+}
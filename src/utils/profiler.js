@@ -0,0 +1,153 @@
+import * as arch from '@logic/architecture.mjs'
+import { executedInstruction } from './formatters'
+import { lastWriteAtOrBefore } from './provenance'
+
+/**
+ * Execution profile: how often each instruction and each source line ran
+ * up to a step, with the memory words it loaded and stored and, for
+ * conditional jumps, how often the jump was taken. The timeline keeps,
+ * for each address and line, the steps it ran at with running totals as
+ * deltas arrive, so the profile at any step is found by a binary search
+ * per line instead of a pass over the deltas.
+ */
+
+const CONDITIONAL_JUMPS = new Set(['jumpc0', 'jumpc1', 'jumpz', 'jumpnz'])
+const COUNT_KEYS = ['loads', 'stores', 'taken', 'notTaken']
+
+function conditionalJump(ir) {
+  const op = (ir >> 12) & 0xf
+  return op === 15 && CONDITIONAL_JUMPS.has(arch.mnemonicRX[ir & 0xf])
+}
+
+function deltaCounts(delta, ir) {
+  const counts = {
+    loads: delta.dataReads?.length ?? 0,
+    stores: Object.keys(delta.changedMemory).length,
+    taken: 0,
+    notTaken: 0
+  }
+  if (conditionalJump(ir)) {
+    const fallThrough = (delta.curInstrAddr + 2) & 0xffff
+    if (delta.pc === fallThrough) {
+      counts.notTaken = 1
+    } else {
+      counts.taken = 1
+    }
+  }
+  return counts
+}
+
+// Steps one address or line ran at, with running totals after each
+function createTrack() {
+  return { steps: [], loads: [], stores: [], taken: [], notTaken: [] }
+}
+
+function appendTrack(track, step, counts) {
+  const last = track.steps.length - 1
+  track.steps.push(step)
+  for (const key of COUNT_KEYS) {
+    track[key].push((last >= 0 ? track[key][last] : 0) + counts[key])
+  }
+}
+
+function trackCountsAt(track, step) {
+  const index = lastWriteAtOrBefore(track.steps, step)
+  if (index < 0) return null
+  const counts = { count: index + 1 }
+  for (const key of COUNT_KEYS) {
+    counts[key] = track[key][index]
+  }
+  return counts
+}
+
+/**
+ * Create an empty profile log
+ * @param {Array<number>} lineMap - Address -> source line index
+ * @returns {Object} Profile log
+ */
+export function createProfileLog(lineMap) {
+  return {
+    steps: 0,
+    lineMap,
+    executed: [0],
+    byAddress: new Map(),
+    byLine: new Map()
+  }
+}
+
+/**
+ * Count the instruction run by the next delta
+ * @param {Object} log - Profile log (mutated)
+ * @param {Object} delta - Next delta in the timeline
+ */
+export function appendProfileDelta(log, delta) {
+  log.steps += 1
+  const executed = log.executed[log.executed.length - 1]
+  // Interrupt entries and abandoned instructions did not execute anything
+  if (delta.interrupt || delta.fault) {
+    log.executed.push(executed)
+    return
+  }
+  log.executed.push(executed + 1)
+  const address = delta.curInstrAddr
+  const counts = deltaCounts(delta, executedInstruction(delta))
+
+  if (!log.byAddress.has(address)) log.byAddress.set(address, createTrack())
+  appendTrack(log.byAddress.get(address), log.steps, counts)
+
+  const line = log.lineMap?.[address]
+  if (line === undefined || line === null) return
+  if (!log.byLine.has(line)) log.byLine.set(line, createTrack())
+  appendTrack(log.byLine.get(line), log.steps, counts)
+}
+
+/**
+ * Profile of the steps up to one
+ * @param {Object} log - Profile log
+ * @param {number} step - Profile steps 1..step
+ * @returns {Object} {instructions, byAddress: Map, byLine: Map, maxLineCount}
+ */
+export function profileAt(log, step) {
+  const byAddress = new Map()
+  const byLine = new Map()
+  let maxLineCount = 0
+
+  for (const [address, track] of log.byAddress) {
+    const counts = trackCountsAt(track, step)
+    if (counts) byAddress.set(address, counts)
+  }
+  for (const [line, track] of log.byLine) {
+    const counts = trackCountsAt(track, step)
+    if (!counts) continue
+    byLine.set(line, { line, ...counts })
+    maxLineCount = Math.max(maxLineCount, counts.count)
+  }
+
+  const instructions = log.executed[Math.min(step, log.steps)]
+  return { instructions, byAddress, byLine, maxLineCount }
+}
+
+/**
+ * Lines of a profile sorted by one of their counts
+ * @param {Object} profile - Profile from profileAt
+ * @param {string} key - 'line', 'count', 'loads', 'stores', 'taken' or 'notTaken'
+ * @param {boolean} descending - Largest first
+ * @returns {Array<Object>} Line counts
+ */
+export function sortedProfileLines(profile, key = 'count', descending = true) {
+  const lines = Array.from(profile.byLine.values())
+  const direction = descending ? -1 : 1
+  return lines.sort((x, y) => (x[key] - y[key]) * direction || x.line - y.line)
+}
+
+/**
+ * Heat of a source line for the listing gutter
+ * @param {Object} profile - Profile from profileAt
+ * @param {number} line - Source line index
+ * @returns {number} 0 (never ran) to 1 (the hottest line)
+ */
+export function lineHeat(profile, line) {
+  const counts = profile.byLine.get(line)
+  if (!counts || profile.maxLineCount === 0) return 0
+  return counts.count / profile.maxLineCount
+}
@@ -0,0 +1,102 @@
+/**
+ * Provenance index: which steps wrote each register and memory word.
+ *
+ * The index is built incrementally as deltas arrive, from the write logs in
+ * each delta (storedRegisters and changedMemory), and keeps the writing steps
+ * for every location in increasing order so lookups never rescan the trace.
+ */
+
+/**
+ * Create an empty provenance index
+ * @returns {Object} Provenance index
+ */
+export function createProvenanceIndex() {
+  return {
+    steps: 0,
+    registers: Array.from({ length: 16 }, () => []),
+    memory: new Map()
+  }
+}
+
+/**
+ * Record the writes of the next delta
+ * @param {Object} index - Provenance index (mutated)
+ * @param {Object} delta - Next delta in the timeline
+ */
+export function appendProvenanceDelta(index, delta) {
+  index.steps += 1
+  const step = index.steps
+  for (const regIndex of delta.storedRegisters || []) {
+    index.registers[regIndex].push(step)
+  }
+  for (const address of Object.keys(delta.changedMemory)) {
+    const addr = Number(address)
+    let steps = index.memory.get(addr)
+    if (!steps) {
+      steps = []
+      index.memory.set(addr, steps)
+    }
+    steps.push(step)
+  }
+}
+
+/**
+ * Steps that wrote a location, in increasing order
+ * @param {Object} index - Provenance index
+ * @param {Object} target - {kind: 'register' | 'memory', location}
+ * @returns {Array<number>} Writing steps
+ */
+export function writeSteps(index, target) {
+  if (target.kind === 'register') {
+    return index.registers[target.location] || []
+  }
+  return index.memory.get(target.location) || []
+}
+
+/**
+ * Find the last write at or before a step
+ * @param {Array<number>} steps - Writing steps in increasing order
+ * @param {number} step - Latest step to consider
+ * @returns {number} Position in steps, or -1 if there is none
+ */
+export function lastWriteAtOrBefore(steps, step) {
+  let low = 0
+  let high = steps.length - 1
+  let found = -1
+  while (low <= high) {
+    const mid = (low + high) >> 1
+    if (steps[mid] <= step) {
+      found = mid
+      low = mid + 1
+    } else {
+      high = mid - 1
+    }
+  }
+  return found
+}
+
+/**
+ * Describe the writes to a location, all of them or a run of them
+ * @param {Object} index - Provenance index
+ * @param {Array<Object>} deltas - Timeline deltas
+ * @param {Object} target - {kind: 'register' | 'memory', location}
+ * @param {Array<number>} lineMap - Address to source line index
+ * @param {number} first - Position in writeSteps of the first write
+ * @param {number} end - Position after the last write (default: all)
+ * @returns {Array<Object>} Entries as {step, address, line, ir, value}
+ */
+export function provenanceEntries(index, deltas, target, lineMap = [], first = 0, end = undefined) {
+  return writeSteps(index, target).slice(first, end).map((step) => {
+    const delta = deltas[step - 1]
+    const value = target.kind === 'register'
+      ? delta.changedRegisters[target.location]
+      : delta.changedMemory[target.location]
+    return {
+      step,
+      address: delta.curInstrAddr,
+      line: lineMap[delta.curInstrAddr] ?? null,
+      ir: delta.executedIr ?? delta.ir,
+      value
+    }
+  })
+}
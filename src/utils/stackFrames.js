@@ -0,0 +1,306 @@
+import * as arch from '@logic/architecture.mjs'
+import { executedInstruction } from './formatters'
+
+/**
+ * Activation records on the stack, rebuilt from the trace. A word is on
+ * the stack when it is written through the stack pointer R14: by
+ * store Rd,disp[R14], push Rd,R14,Rf or save Rd,Re,disp[R14]. It belongs
+ * to the subroutine running when it was written (the innermost frame of
+ * the call log, or the main program) and gets a role from how it was
+ * written: the return address, the saved R14 of the caller, a saved or
+ * pushed register, or a local. A subroutine's store of a register it has
+ * not yet written saves the caller's value. A local becomes a saved
+ * register when its subroutine loads it back into the same register, and
+ * an argument when a called subroutine reads it from its caller's part of
+ * the stack; the step of the change is kept so earlier steps still show
+ * it as a local.
+ *
+ * Words leave the stack when pop or restore reads them back, when their
+ * subroutine returns, or when a new stack word is written over them.
+ * Each word is kept with the steps it was written and removed at, so
+ * the stack at any step is the words alive at that step.
+ */
+
+const STACK_POINTER = 14
+
+const EXP_PUSH = arch.mnemonicEXP.indexOf('push')
+const EXP_POP = arch.mnemonicEXP.indexOf('pop')
+const EXP_SAVE = arch.mnemonicEXP.indexOf('save')
+const EXP_RESTORE = arch.mnemonicEXP.indexOf('restore')
+
+export const STACK_ROLES = {
+  returnAddress: 'return address',
+  savedStackPointer: 'saved R14',
+  saved: 'saved',
+  pushed: 'pushed',
+  local: 'local',
+  argument: 'argument'
+}
+
+/**
+ * Create an empty stack log
+ * @param {Array<Object>} words - Stack words alive where a branch forks,
+ *   or none for a new run
+ * @param {Map} registerWrites - Registers the open frames had written
+ *   where a branch forks (inheritedRegisterWrites), or none for a new run
+ * @returns {Object} Stack log
+ */
+export function createStackLog(words = [], registerWrites = new Map()) {
+  const live = new Map()
+  for (const word of words) {
+    live.set(word.address, word)
+  }
+  return {
+    steps: 0,
+    words: words.slice(),
+    live,
+    // Frame id -> Map(register -> first step the frame wrote it)
+    registerWrites: new Map(Array.from(registerWrites, ([id, writes]) => [id, new Map(writes)]))
+  }
+}
+
+// Stack words written by one instruction: [{address, register, how}]
+function stackWrites(delta, ir) {
+  const op = (ir >> 12) & 0xf
+  const d = (ir >> 8) & 0xf
+  const written = Object.keys(delta.changedMemory).map(Number)
+  if (written.length === 0) return []
+
+  if (op === 15) {
+    const mnemonic = arch.mnemonicRX[ir & 0xf]
+    const a = (ir >> 4) & 0xf
+    if (mnemonic !== 'store' || a !== STACK_POINTER) return []
+    return [{ address: written[0], register: d, how: 'store' }]
+  }
+  if (op !== 14) return []
+
+  const code = ir & 0xff
+  const second = delta.instrFetches?.[1]?.value ?? 0
+  const e = (second >> 12) & 0xf
+  const f = (second >> 8) & 0xf
+  if (code === EXP_PUSH && e === STACK_POINTER) {
+    return [{ address: written[0], register: d, how: 'push' }]
+  }
+  if (code === EXP_SAVE && f === STACK_POINTER) {
+    // save writes registers d..e (wrapping after R15) to consecutive words
+    const writes = []
+    const base = written.length > 0 ? Math.min(...written) : 0
+    let register = d
+    for (let i = 0; i < 16; i += 1) {
+      writes.push({ address: (base + i) & 0xffff, register, how: 'save' })
+      if (register === e) break
+      register = register >= 15 ? 0 : register + 1
+    }
+    return writes
+  }
+  return []
+}
+
+// Stack words read back and removed by pop or restore through R14
+function stackRemovals(delta, ir) {
+  if (((ir >> 12) & 0xf) !== 14) return []
+  const code = ir & 0xff
+  const second = delta.instrFetches?.[1]?.value ?? 0
+  const e = (second >> 12) & 0xf
+  const f = (second >> 8) & 0xf
+  if ((code === EXP_POP && e === STACK_POINTER) || (code === EXP_RESTORE && f === STACK_POINTER)) {
+    return (delta.dataReads || []).map(({ address }) => address)
+  }
+  return []
+}
+
+// Register loaded from the stack by load Rd,disp[Ra], or null
+function loadedRegister(ir) {
+  if (((ir >> 12) & 0xf) !== 15 || arch.mnemonicRX[ir & 0xf] !== 'load') return null
+  return (ir >> 8) & 0xf
+}
+
+function writeRole(write, value, frame, registerWrites) {
+  if (write.how === 'save') return STACK_ROLES.saved
+  if (write.how === 'push') return STACK_ROLES.pushed
+  if (frame && write.register === frame.linkRegister && value === frame.returnAddr) {
+    return STACK_ROLES.returnAddress
+  }
+  if (write.register === STACK_POINTER) return STACK_ROLES.savedStackPointer
+  // Still holding the caller's value
+  if (frame && !registerWrites.get(frame.id)?.has(write.register)) return STACK_ROLES.saved
+  return STACK_ROLES.local
+}
+
+/**
+ * Role of a stack word at a step
+ * @param {Object} word - Stack word
+ * @param {number} step - Timeline step
+ * @returns {string} One of STACK_ROLES
+ */
+export function roleAt(word, step) {
+  if (word.argumentStep !== null && word.argumentStep <= step) return STACK_ROLES.argument
+  if (word.savedStep !== null && word.savedStep <= step) return STACK_ROLES.saved
+  return word.role
+}
+
+function removeWord(log, address, step) {
+  const word = log.live.get(address)
+  if (!word) return
+  word.endStep = step
+  log.live.delete(address)
+}
+
+/**
+ * Record the stack words written and removed by the next delta. Call
+ * after the call log has taken the same delta.
+ * @param {Object} log - Stack log (mutated)
+ * @param {Object} delta - Next delta in the timeline
+ * @param {Object} callLog - Call log of the run
+ */
+export function appendStackDelta(log, delta, callLog) {
+  log.steps += 1
+  const step = log.steps
+
+  // Words of subroutines that just returned go with them
+  for (const word of Array.from(log.live.values())) {
+    const frame = word.frame === null ? null : callLog.frames[word.frame]
+    if (frame && frame.exitStep === step) removeWord(log, word.address, step)
+  }
+  if (delta.interrupt || delta.fault) return
+
+  const ir = executedInstruction(delta)
+  const current = callLog.open[callLog.open.length - 1] ?? null
+  const frameId = current ? current.id : null
+
+  for (const address of stackRemovals(delta, ir)) {
+    removeWord(log, address, step)
+  }
+  const loaded = loadedRegister(ir)
+  for (const { address } of delta.dataReads || []) {
+    const word = log.live.get(address)
+    if (!word || roleAt(word, step) !== STACK_ROLES.local) continue
+    if ((word.frame ?? -1) < (frameId ?? -1)) {
+      // An outer frame's local read by an inner one was passed to it
+      word.argumentStep = step
+    } else if (word.frame === frameId && word.register === loaded) {
+      // Loaded back into the register it came from
+      word.savedStep = step
+    }
+  }
+  for (const write of stackWrites(delta, ir)) {
+    const value = delta.changedMemory[write.address]
+    removeWord(log, write.address, step)
+    const word = {
+      address: write.address,
+      value,
+      register: write.register,
+      role: writeRole(write, value, current, log.registerWrites),
+      argumentStep: null,
+      savedStep: null,
+      frame: frameId,
+      step,
+      endStep: null
+    }
+    log.words.push(word)
+    log.live.set(write.address, word)
+  }
+
+  if (current && delta.storedRegisters?.length) {
+    if (!log.registerWrites.has(frameId)) log.registerWrites.set(frameId, new Map())
+    const writes = log.registerWrites.get(frameId)
+    for (const register of delta.storedRegisters) {
+      if (!writes.has(register)) writes.set(register, step)
+    }
+  }
+}
+
+/**
+ * Stack words alive at a step
+ * @param {Object} log - Stack log
+ * @param {number} step - Timeline step
+ * @returns {Array<Object>} Words {address, value, register, role, frame,
+ *   step, endStep} with their role at the step (frame is a call log frame
+ *   id, or null for the main program; step null for a word written before
+ *   a branch forked)
+ */
+export function stackWordsAt(log, step) {
+  return log.words
+    .filter((word) => (word.step === null || word.step <= step) && (word.endStep === null || word.endStep > step))
+    .map((word) => ({ ...word, role: roleAt(word, step) }))
+}
+
+/**
+ * Group the stack at a step into activation records, innermost first.
+ * The main program has a record only if it wrote to the stack.
+ * @param {Object} log - Stack log
+ * @param {Array<Object>} frames - Open frames from callStackAt, outermost first
+ * @param {number} step - Timeline step
+ * @returns {Array<Object>} Records {frame (null for the main program),
+ *   depth (0 for the main program), words (highest address first)}
+ */
+export function activationRecords(log, frames, step) {
+  const byFrame = new Map()
+  for (const word of stackWordsAt(log, step)) {
+    if (!byFrame.has(word.frame)) byFrame.set(word.frame, [])
+    byFrame.get(word.frame).push(word)
+  }
+  const records = []
+  if (byFrame.has(null)) records.push({ frame: null, depth: 0, words: byFrame.get(null) })
+  frames.forEach((frame, index) => {
+    records.push({ frame, depth: index + 1, words: byFrame.get(frame.id) || [] })
+  })
+  for (const record of records) {
+    record.words.sort((x, y) => y.address - x.address)
+  }
+  return records.reverse()
+}
+
+/**
+ * Stack words alive where a branch forks, for the branch's stack log.
+ * Frame ids follow inheritedFrames, which numbers the open frames again.
+ * @param {Object} log - Parent's stack log
+ * @param {Array<Object>} frames - Parent's open frames at the fork (callStackAt)
+ * @param {number} step - Fork step
+ * @returns {Array<Object>} Words written before the branch
+ */
+export function inheritedStackWords(log, frames, step) {
+  const ids = new Map(frames.map((frame, index) => [frame.id, index]))
+  return stackWordsAt(log, step)
+    .filter((word) => word.frame === null || ids.has(word.frame))
+    .map((word) => ({
+      ...word,
+      argumentStep: null,
+      savedStep: null,
+      frame: word.frame === null ? null : ids.get(word.frame),
+      step: null,
+      endStep: null
+    }))
+}
+
+/**
+ * Registers the open frames had written where a branch forks, for the
+ * branch's stack log. Frame ids follow inheritedFrames.
+ * @param {Object} log - Parent's stack log
+ * @param {Array<Object>} frames - Parent's open frames at the fork (callStackAt)
+ * @param {number} step - Fork step
+ * @returns {Map} Frame id -> Map(register -> 0)
+ */
+export function inheritedRegisterWrites(log, frames, step) {
+  const inherited = new Map()
+  frames.forEach((frame, index) => {
+    const writes = Array.from(log.registerWrites.get(frame.id) || [])
+      .filter(([, first]) => first <= step)
+      .map(([register]) => [register, 0])
+    inherited.set(index, new Map(writes))
+  })
+  return inherited
+}
+
+/**
+ * Label of a stack word, e.g. "return address" or "saved R3"
+ * @param {Object} word - Stack word
+ * @returns {string} Label
+ */
+export function describeStackWord(word) {
+  if (word.role === STACK_ROLES.saved || word.role === STACK_ROLES.pushed) {
+    return `${word.role} R${word.register}`
+  }
+  if (word.role === STACK_ROLES.local) return `local (from R${word.register})`
+  return word.role
+}
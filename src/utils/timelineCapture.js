@@ -0,0 +1,378 @@
+import {
+  EmulatorState,
+  initializeMachineState,
+  procReset,
+  clearRegLogging,
+  clearMemLogging
+} from '@logic/emulator.mjs'
+import * as ab from '@logic/arrbuf.mjs'
+import * as com from '@logic/common.mjs'
+import * as arch from '@logic/architecture.mjs'
+import { CONTROL_REGISTERS } from './controlRegisters'
+
+/**
+ * Build timeline data from a running emulator: the full initial state and
+ * one delta per executed instruction. Used by the emulator worker (emwt.mjs).
+ */
+
+const MEMORY_WORDS = 65536
+
+// R0 is always 0 and R15 is the condition code, which every comparison sets
+const ALWAYS_DEFINED_REGISTERS = [0, 15]
+
+function allocateStateVector(es) {
+  es.vecbuf = new ArrayBuffer(ab.StateVecSizeBytes)
+  es.vec16 = new Uint16Array(es.vecbuf)
+  es.vec32 = new Uint32Array(es.vecbuf)
+  es.vec64 = new BigUint64Array(es.vecbuf)
+  es.shm = es.vec16
+}
+
+/**
+ * Create an emulator state with its own (unshared) state vector
+ * @param {number} threadHost - com.ES_gui_thread or com.ES_worker_thread
+ * @returns {EmulatorState} Reset emulator state
+ */
+export function createEmulatorState(threadHost = com.ES_gui_thread) {
+  const es = new EmulatorState(threadHost)
+  allocateStateVector(es)
+  initializeMachineState(es)
+  procReset(es)
+  return es
+}
+
+/**
+ * Fill R1..R14 and all of memory with random words. Done before loading
+ * a program, so only the words the program never sets stay random.
+ * @param {EmulatorState} es - Reset emulator state
+ * @param {Function} random - Returns a number in [0, 1)
+ */
+export function randomizeState(es, random = Math.random) {
+  for (let i = 1; i < 15; i += 1) {
+    es.regfile[i].put(Math.floor(random() * 0x10000))
+  }
+  for (let address = 0; address < MEMORY_WORDS; address += 1) {
+    ab.writeMem16(es, address, Math.floor(random() * 0x10000))
+  }
+  clearRegLogging(es)
+}
+
+function parseHexWord(value) {
+  const cleaned = value.trim().replace(/^0x/i, '')
+  if (!cleaned) return null
+  const parsed = parseInt(cleaned, 16)
+  return Number.isNaN(parsed) ? null : parsed
+}
+
+/**
+ * Load assembler object code into memory and point the PC at it. The
+ * loaded words start out defined (see createDefinedness).
+ * @param {EmulatorState} es - Emulator state
+ * @param {Array<string>} objectLines - asmResult.objectCode
+ * @returns {Object} Program info: startAddress, minAddress, maxAddress
+ */
+export function loadProgram(es, objectLines) {
+  const loaded = []
+  const programInfo = loadObjectCode(es, objectLines, loaded)
+  es.definedness = createDefinedness(loaded)
+  es.pc.put(programInfo.startAddress)
+  ab.writeSCB(es, ab.SCB_cur_instr_addr, programInfo.startAddress)
+  ab.writeSCB(es, ab.SCB_next_instr_addr, programInfo.startAddress)
+  return programInfo
+}
+
+function loadObjectCode(es, objectLines, loaded) {
+  let address = 0
+  let minAddress = null
+  let maxAddress = null
+
+  for (const rawLine of objectLines) {
+    const line = rawLine.trim()
+    if (!line) continue
+
+    const [op, rest = ''] = line.split(/\s+/, 2)
+    if (op === 'org') {
+      const nextAddr = parseHexWord(rest)
+      if (nextAddr !== null) {
+        address = nextAddr
+        if (minAddress === null || address < minAddress) {
+          minAddress = address
+        }
+        if (maxAddress === null || address > maxAddress) {
+          maxAddress = address
+        }
+      }
+      continue
+    }
+
+    if (op === 'data') {
+      const values = rest.split(',').map((value) => parseHexWord(value)).filter((val) => val !== null)
+      for (const value of values) {
+        ab.writeMem16(es, address, value)
+        loaded.push(address)
+        if (minAddress === null || address < minAddress) {
+          minAddress = address
+        }
+        if (maxAddress === null || address > maxAddress) {
+          maxAddress = address
+        }
+        address += 1
+      }
+      continue
+    }
+
+    // Ignore module/import/export/relocate lines for single-module execution.
+  }
+
+  return {
+    startAddress: minAddress ?? 0,
+    minAddress,
+    maxAddress
+  }
+}
+
+function captureRegisters(es) {
+  const regValues = new Uint16Array(16)
+  for (let i = 0; i < 16; i += 1) {
+    regValues[i] = es.regfile[i].get()
+  }
+  return regValues
+}
+
+const CONTROL_REGISTER_NAMES = CONTROL_REGISTERS.map(({ name }) => name)
+
+function captureControlRegisters(es) {
+  const controlRegs = {}
+  for (const name of CONTROL_REGISTER_NAMES) {
+    controlRegs[name] = es[name].get()
+  }
+  return controlRegs
+}
+
+function memoryAccesses(addresses, values) {
+  return addresses.map((address, i) => ({ address, value: values[i] }))
+}
+
+function captureTimer(es) {
+  return {
+    running: ab.readSCB(es, ab.SCB_timer_running) !== 0,
+    minor: ab.readSCB(es, ab.SCB_timer_minor_count),
+    major: ab.readSCB(es, ab.SCB_timer_major_count),
+    resolution: ab.readSCB(es, ab.SCB_timer_resolution)
+  }
+}
+
+function captureMemory(es) {
+  const memValues = new Uint16Array(MEMORY_WORDS)
+  memValues.set(es.vec16.subarray(ab.MemOffset16, ab.MemOffset16 + MEMORY_WORDS))
+  return memValues
+}
+
+/**
+ * Capture the complete machine state (used for step 0)
+ * @param {EmulatorState} es - Emulator state
+ * @returns {Object} Full state with reg and mem typed arrays
+ */
+export function captureFullState(es) {
+  const ccWord = es.regfile[15]?.get?.() ?? 0
+  const ccC = arch.extractBoolLE(ccWord, arch.bit_ccC)
+  const ccV = arch.extractBoolLE(ccWord, arch.bit_ccV)
+  const ccG = arch.extractBoolLE(ccWord, arch.bit_ccG)
+  const ccE = arch.extractBoolLE(ccWord, arch.bit_ccE)
+  const ccL = arch.extractBoolLE(ccWord, arch.bit_ccL)
+  const ccg = arch.extractBoolLE(ccWord, arch.bit_ccg)
+  const ccl = arch.extractBoolLE(ccWord, arch.bit_ccl)
+
+  return {
+    pc: es.pc.get(),
+    ir: es.ir.get(),
+    reg: captureRegisters(es),
+    mem: captureMemory(es),
+    ccC,
+    ccV,
+    ccG,
+    ccE,
+    ccL,
+    ccg,
+    ccl,
+    ...captureControlRegisters(es),
+    timer: captureTimer(es),
+    halted: ab.readSCB(es, ab.SCB_status) === ab.SCB_halted,
+    instrCount: ab.readInstrCount(es)
+  }
+}
+
+/**
+ * Put a captured state back into an emulator, e.g. to branch a new run from
+ * an edited copy of a timeline step
+ * @param {EmulatorState} es - Reset emulator state
+ * @param {Object} state - Full state as returned by captureFullState
+ */
+export function restoreFullState(es, state) {
+  for (let i = 1; i < 16; i += 1) {
+    es.regfile[i].put(state.reg[i])
+  }
+  es.vec16.set(state.mem, ab.MemOffset16)
+  es.pc.put(state.pc)
+  es.ir.put(state.ir)
+  for (const name of CONTROL_REGISTER_NAMES) {
+    if (state[name] !== undefined) es[name].put(state[name])
+  }
+  ab.writeSCB(es, ab.SCB_cur_instr_addr, state.pc)
+  ab.writeSCB(es, ab.SCB_next_instr_addr, state.pc)
+  ab.writeInstrCount(es, state.instrCount ?? 0)
+  if (state.timer) {
+    ab.writeSCB(es, ab.SCB_timer_running, state.timer.running ? 1 : 0)
+    ab.writeSCB(es, ab.SCB_timer_minor_count, state.timer.minor)
+    ab.writeSCB(es, ab.SCB_timer_major_count, state.timer.major)
+    ab.writeSCB(es, ab.SCB_timer_resolution, state.timer.resolution)
+  }
+  clearRegLogging(es)
+  clearMemLogging(es)
+}
+
+/**
+ * Definedness: the registers and memory words that have been given a
+ * value. At the start only the loaded words are defined, plus R0 and R15.
+ * A location becomes defined when an instruction writes it, as recorded
+ * in the write logs of its delta, and each delta lists the locations it
+ * read before they were defined (undefinedReads). The step each location
+ * was first defined at is kept, so a branch can start from what its
+ * parent had defined at the fork.
+ * @param {Iterable<number>} addresses - Memory words defined at the start
+ * @param {Iterable<number>} registers - Registers defined at the start,
+ *   besides R0 and R15
+ * @returns {Object} Definedness {steps, registers: Map, memory: Map}
+ *   (location -> first step defined, 0 at the start)
+ */
+export function createDefinedness(addresses = [], registers = []) {
+  const definedAtStart = (locations) => new Map(Array.from(locations, (location) => [location, 0]))
+  return {
+    steps: 0,
+    registers: definedAtStart([...ALWAYS_DEFINED_REGISTERS, ...registers]),
+    memory: definedAtStart(addresses)
+  }
+}
+
+/**
+ * Definedness where a branch forks from a run: what the run had defined
+ * by the fork step, plus the locations edited for the branch
+ * @param {Object} definedness - Definedness of the parent run
+ * @param {number} step - Fork step
+ * @param {Array<Object>} edited - Edited locations ({kind, location})
+ * @returns {Object} Definedness for the branch
+ */
+export function definednessAtStep(definedness, step, edited = []) {
+  const definedBy = (locations) =>
+    Array.from(locations).filter(([, first]) => first <= step).map(([location]) => location)
+  const registers = definedBy(definedness.registers)
+  const addresses = definedBy(definedness.memory)
+  for (const { kind, location } of edited) {
+    if (kind === 'register') registers.push(location)
+    if (kind === 'memory') addresses.push(location)
+  }
+  return createDefinedness(addresses, registers)
+}
+
+// Note the reads of undefined locations in a delta, then define its writes
+function recordDefinedness(definedness, delta) {
+  definedness.steps += 1
+  const step = definedness.steps
+  const registers = delta.fetchedRegisters.filter((index) => !definedness.registers.has(index))
+  const memory = Array.from(new Set(delta.dataReads.map(({ address }) => address)))
+    .filter((address) => !definedness.memory.has(address))
+  for (const index of delta.storedRegisters) {
+    if (!definedness.registers.has(index)) definedness.registers.set(index, step)
+  }
+  for (const address of Object.keys(delta.changedMemory).map(Number)) {
+    if (!definedness.memory.has(address)) definedness.memory.set(address, step)
+  }
+  return registers.length > 0 || memory.length > 0 ? { registers, memory } : null
+}
+
+/**
+ * Capture what the last executed instruction changed. If the step took an
+ * interrupt instead of executing an instruction, interrupt records it; if
+ * the instruction was abandoned by a fault, fault records why. With
+ * definedness tracking (es.definedness), undefinedReads lists the
+ * registers and words read before anything set them, or is null.
+ * @param {EmulatorState} es - Emulator state after executeInstruction
+ * @returns {Object} Delta for the timeline
+ */
+export function computeDelta(es) {
+  const changedRegisters = {}
+  const changedMemory = {}
+  const touchedRegisters = new Set()
+  const fetchedRegisters = new Set()
+  const storedRegisters = new Set()
+  const ccWord = es.regfile[15]?.get?.() ?? 0
+  const ccC = arch.extractBoolLE(ccWord, arch.bit_ccC)
+  const ccV = arch.extractBoolLE(ccWord, arch.bit_ccV)
+  const ccG = arch.extractBoolLE(ccWord, arch.bit_ccG)
+  const ccE = arch.extractBoolLE(ccWord, arch.bit_ccE)
+  const ccL = arch.extractBoolLE(ccWord, arch.bit_ccL)
+  const ccg = arch.extractBoolLE(ccWord, arch.bit_ccg)
+  const ccl = arch.extractBoolLE(ccWord, arch.bit_ccl)
+
+  for (const regIndex of es.copyable.regFetched) {
+    if (regIndex >= 0 && regIndex < 16) {
+      touchedRegisters.add(regIndex)
+      fetchedRegisters.add(regIndex)
+    }
+  }
+  for (const regIndex of es.copyable.regStored) {
+    if (regIndex >= 0 && regIndex < 16) {
+      touchedRegisters.add(regIndex)
+      storedRegisters.add(regIndex)
+      changedRegisters[regIndex] = es.regfile[regIndex].get()
+    }
+  }
+
+  for (const addr of es.copyable.memStoreLog) {
+    changedMemory[addr] = ab.readMem16(es, addr)
+  }
+
+  const delta = {
+    pc: es.pc.get(),
+    ir: es.ir.get(),
+    curInstrAddr: ab.readSCB(es, ab.SCB_cur_instr_addr),
+    nextInstrAddr: ab.readSCB(es, ab.SCB_next_instr_addr),
+    ioEvents: es.ioDevice.takeEvents?.() ?? [],
+    inputRemaining: es.ioDevice.available(),
+    ccC,
+    ccV,
+    ccG,
+    ccE,
+    ccL,
+    ccg,
+    ccl,
+    controlRegs: captureControlRegisters(es),
+    timer: captureTimer(es),
+    timerFired: es.timerFired,
+    interrupt: es.interruptTaken === null
+      ? null
+      : {
+          index: es.interruptTaken,
+          savedPc: es.rpc.get(),
+          savedStatus: es.rstat.get(),
+          vect: es.vect.get(),
+          handler: es.pc.get()
+        },
+    fault: es.fault,
+    halted: ab.readSCB(es, ab.SCB_status) === ab.SCB_halted,
+    instrCount: ab.readInstrCount(es),
+    changedRegisters,
+    changedMemory,
+    instrFetches: memoryAccesses(es.copyable.memFetchInstrLog, es.copyable.memFetchInstrValues),
+    dataReads: memoryAccesses(es.copyable.memFetchDataLog, es.copyable.memFetchDataValues),
+    touchedRegisters: Array.from(touchedRegisters),
+    fetchedRegisters: Array.from(fetchedRegisters),
+    storedRegisters: Array.from(storedRegisters)
+  }
+  // resume puts back the ir saved on interrupt, so keep the word executed
+  if (es.interruptTaken === null && es.fault === null && es.instrCode !== delta.ir) {
+    delta.executedIr = es.instrCode
+  }
+  delta.undefinedReads = es.definedness ? recordDefinedness(es.definedness, delta) : null
+  return delta
+}
@@ -0,0 +1,87 @@
+import { applyDeltaInPlace, materializeState } from './checkpoints'
+
+/**
+ * Searching the timeline for the next or previous step that matches a test.
+ *
+ * Step k (k >= 1) is the state after deltas[k - 1] has been applied, so a
+ * test sees that delta, the step number it produces and the full state at
+ * that step. The state is kept up to date by applying deltas in place, so it
+ * must not be held on to by the test.
+ */
+
+/**
+ * Start a forward search at a step
+ * @param {Object} track - Checkpoint track
+ * @param {Array<Object>} deltas - Timeline deltas
+ * @param {number} step - Step the search starts after
+ * @returns {Object} Search cursor {step, state}
+ */
+export function createSearchCursor(track, deltas, step) {
+  return { step, state: materializeState(track, deltas, step) }
+}
+
+/**
+ * Advance a cursor to the first later step (up to `to`) passing the test
+ * @param {Object} cursor - Search cursor (mutated)
+ * @param {Array<Object>} deltas - Timeline deltas
+ * @param {number} to - Last step to check
+ * @param {Function} test - (delta, step, state) => boolean
+ * @returns {number|null} Matching step, or null if none
+ */
+export function findNextStep(cursor, deltas, to, test) {
+  const last = Math.min(to, deltas.length)
+  while (cursor.step < last) {
+    const delta = deltas[cursor.step]
+    applyDeltaInPlace(cursor.state, delta)
+    cursor.step += 1
+    if (test(delta, cursor.step, cursor.state)) {
+      return cursor.step
+    }
+  }
+  return null
+}
+
+/**
+ * Find the last step in [1, from] passing the test, scanning forward from
+ * one keyframe at a time
+ * @param {Object} track - Checkpoint track
+ * @param {Array<Object>} deltas - Timeline deltas
+ * @param {number} from - Step to start searching back from
+ * @param {Function} test - (delta, step, state) => boolean
+ * @returns {number|null} Matching step, or null if none
+ */
+export function findPreviousStep(track, deltas, from, test) {
+  let end = Math.min(from, deltas.length)
+  while (end >= 1) {
+    const start = Math.floor((end - 1) / track.interval) * track.interval
+    const cursor = createSearchCursor(track, deltas, start)
+    let hit = null
+    while (cursor.step < end) {
+      const found = findNextStep(cursor, deltas, end, test)
+      if (found === null) break
+      hit = found
+    }
+    if (hit !== null) {
+      return hit
+    }
+    end = start
+  }
+  return null
+}
+
+/**
+ * Map breakpoint source lines to the addresses assembled from them
+ * @param {Iterable<number>} lines - Source line indices with a breakpoint
+ * @param {Array<number>} lineMap - Address to source line index (mapArr)
+ * @returns {Set<number>} Breakpoint addresses
+ */
+export function breakpointAddresses(lines, lineMap = []) {
+  const wanted = new Set(lines)
+  const addresses = new Set()
+  lineMap.forEach((line, address) => {
+    if (wanted.has(line)) {
+      addresses.add(address)
+    }
+  })
+  return addresses
+}
@@ -0,0 +1,46 @@
+import * as arch from '@logic/architecture.mjs'
+
+/**
+ * Timer events on the timeline: the steps where the timer went off and
+ * raised its interrupt request, and the steps where that interrupt was
+ * taken. Kept in step order as deltas arrive, like the provenance index.
+ */
+
+/**
+ * Create an empty timer event log
+ * @returns {Object} Timer event log
+ */
+export function createTimerLog() {
+  return {
+    steps: 0,
+    events: []
+  }
+}
+
+/**
+ * Record the timer events of the next delta
+ * @param {Object} log - Timer event log (mutated)
+ * @param {Object} delta - Next delta in the timeline
+ */
+export function appendTimerDelta(log, delta) {
+  log.steps += 1
+  if (delta.timerFired) {
+    log.events.push({ step: log.steps, kind: 'fired' })
+  }
+  if (delta.interrupt?.index === arch.timerBit) {
+    log.events.push({ step: log.steps, kind: 'interrupt' })
+  }
+}
+
+/**
+ * Number of instructions until a running timer goes off. Each executed
+ * instruction is one tick: the minor count runs down to 0, then each
+ * major count reloads it with the resolution, and the tick after both
+ * reach 0 raises the request.
+ * @param {Object} timer - Timer state {running, minor, major, resolution}
+ * @returns {number|null} Instructions to go, or null if the timer is off
+ */
+export function ticksUntilTimerFires(timer) {
+  if (!timer?.running) return null
+  return timer.minor + timer.major * (timer.resolution + 1) + 1
+}
@@ -0,0 +1,139 @@
+import { lastWriteAtOrBefore, writeSteps } from './provenance'
+
+/**
+ * Watchpoints on registers and memory, driven by the write logs each delta
+ * carries (storedRegisters/changedRegisters and changedMemory).
+ *
+ * A watch target is written as a register (`R3`), a single word (`sum`,
+ * `sum+1`, `$0010`) or an inclusive address range (`arr..arr+9`,
+ * `$0010..$001f`).
+ */
+
+function parseAddress(text, symbolTable, original) {
+  const match = text.trim().match(/^(\$[0-9a-fA-F]+|0[xX][0-9a-fA-F]+|\d+|[A-Za-z_]\w*)\s*(?:([+-])\s*(\$[0-9a-fA-F]+|0[xX][0-9a-fA-F]+|\d+))?$/)
+  if (!match) {
+    throw new Error(`Cannot read '${original}' as a register, label, address or range`)
+  }
+  const toNumber = (raw) => (raw.startsWith('$') ? parseInt(raw.slice(1), 16) : Number(raw))
+  let base
+  if (/^[A-Za-z_]/.test(match[1])) {
+    base = symbolTable?.get(match[1])?.value?.word
+    if (typeof base !== 'number') {
+      throw new Error(`Unknown label '${match[1]}'`)
+    }
+  } else {
+    base = toNumber(match[1])
+  }
+  const offset = match[3] ? toNumber(match[3]) * (match[2] === '-' ? -1 : 1) : 0
+  const address = base + offset
+  if (address < 0 || address > 0xffff) {
+    throw new Error(`Address in '${original}' is outside memory`)
+  }
+  return address
+}
+
+/**
+ * Parse a watch target
+ * @param {string} text - Target as typed by the user
+ * @param {Map<string, Object>} symbolTable - Assembler symbol table
+ * @returns {Object} {kind: 'register', index} or {kind: 'memory', start, end}
+ * @throws {Error} If the target cannot be read
+ */
+export function parseWatchTarget(text, symbolTable) {
+  const trimmed = text.trim()
+  const register = trimmed.match(/^[Rr](1[0-5]|[0-9])$/)
+  if (register) {
+    return { kind: 'register', index: Number(register[1]) }
+  }
+  const [first, second, ...rest] = trimmed.split('..')
+  if (rest.length > 0 || !first.trim()) {
+    throw new Error(`Cannot read '${trimmed}' as a register, label, address or range`)
+  }
+  const start = parseAddress(first, symbolTable, trimmed)
+  const end = second === undefined ? start : parseAddress(second, symbolTable, trimmed)
+  if (end < start) {
+    throw new Error(`Range '${trimmed}' ends before it starts`)
+  }
+  return { kind: 'memory', start, end }
+}
+
+/**
+ * List the writes a delta made to a watched location
+ * @param {Object} target - Parsed watch target
+ * @param {Object} delta - Timeline delta
+ * @returns {Array<Object>} Writes as {location, value}; location is a register index or address
+ */
+export function watchWrites(target, delta) {
+  const writes = []
+  if (target.kind === 'register') {
+    if ((delta.storedRegisters || []).includes(target.index)) {
+      writes.push({ location: target.index, value: delta.changedRegisters[target.index] })
+    }
+    return writes
+  }
+  for (const [address, value] of Object.entries(delta.changedMemory)) {
+    const addr = Number(address)
+    if (addr >= target.start && addr <= target.end) {
+      writes.push({ location: addr, value })
+    }
+  }
+  return writes
+}
+
+/**
+ * Test whether a delta writes a watched location
+ * @param {Object} target - Parsed watch target
+ * @param {Object} delta - Timeline delta
+ * @returns {boolean} True if the delta writes it
+ */
+export function writesWatch(target, delta) {
+  return watchWrites(target, delta).length > 0
+}
+
+/**
+ * Find the most recent write to a watched location up to a step, with the
+ * value the location held just before it. Looked up in the provenance
+ * index, so the trace is never rescanned.
+ * @param {Object} target - Parsed watch target
+ * @param {Object} index - Provenance index of the run
+ * @param {Array<Object>} deltas - Timeline deltas
+ * @param {Object} initialState - Full state at step 0
+ * @param {number} step - Latest step to consider
+ * @returns {Object|null} {step, location, oldValue, newValue}, or null if never written
+ */
+export function lastWatchWrite(target, index, deltas, initialState, step) {
+  const kind = target.kind
+  const candidates = []
+  if (kind === 'register') {
+    candidates.push([target.index, writeSteps(index, { kind, location: target.index })])
+  } else if (target.end - target.start + 1 > index.memory.size) {
+    for (const [address, steps] of index.memory) {
+      if (address >= target.start && address <= target.end) candidates.push([address, steps])
+    }
+  } else {
+    for (let address = target.start; address <= target.end; address += 1) {
+      candidates.push([address, writeSteps(index, { kind, location: address })])
+    }
+  }
+
+  // Latest writing step; within one step the highest address wins
+  let best = null
+  for (const [location, steps] of candidates) {
+    const position = lastWriteAtOrBefore(steps, step)
+    if (position === -1) continue
+    if (!best || steps[position] > best.steps[best.position] ||
+        (steps[position] === best.steps[best.position] && location > best.location)) {
+      best = { location, steps, position }
+    }
+  }
+  if (!best) return null
+
+  const { location, steps, position } = best
+  const valueAt = (s) => (kind === 'register'
+    ? deltas[s - 1].changedRegisters[location]
+    : deltas[s - 1].changedMemory[location])
+  const oldValue = position > 0
+    ? valueAt(steps[position - 1])
+    : (kind === 'register' ? initialState.reg[location] : initialState.mem[location])
+  return { step: steps[position], location, oldValue, newValue: valueAt(steps[position]) }
+}